@@ -0,0 +1,463 @@
+/**
+ * 600% Sound Volume - Audio Graph
+ * Builds the Web Audio processing chain shared by the content script
+ * (one chain per media element) and the background page (one chain
+ * per captured tab in Chrome)
+ */
+
+var AudioGraph = (function() {
+    'use strict';
+
+    // ============================================================
+    // Configuration
+    // ============================================================
+
+    // Brick-wall style limiter. DynamicsCompressorNode adds its own makeup
+    // gain (about +1.7 dB at these values), so the threshold leaves room
+    // for it: a full-scale peak boosted to 600% settles near -0.4 dBFS.
+    // Transients shorter than the attack still pass. The limiter is only
+    // wired while the chain can boost (see canExceedSource), which keeps
+    // 100% untouched. Attack and release are in milliseconds.
+    const DEFAULT_LIMITER = {
+        enabled: true,
+        threshold: -3,
+        ratio: 20,
+        attack: 1,
+        release: 100
+    };
+
+    // Centre frequencies (Hz) of the 10-band graphic equalizer
+    const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+    // Band gains in dB, one value per entry of EQ_BANDS
+    const EQ_PRESETS = {
+        flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        voice: [-6, -5, -3, -1, 1, 3, 5, 5, 3, 0],
+        bass: [8, 7, 5, 3, 1, 0, 0, 0, 0, 0],
+        treble: [0, 0, 0, 0, 0, 0, -2, -5, -8, -10]
+    };
+
+    // Balance runs from -100 (left only) to 100 (right only)
+    const DEFAULT_STEREO = {
+        balance: 0,
+        mono: false,
+        swap: false
+    };
+
+    // Target is an approximate short-term loudness in LUFS
+    const DEFAULT_AUTO_LEVEL = {
+        enabled: false,
+        target: -16
+    };
+
+    // How often callers should run updateAutoLevel (ms)
+    const AUTO_LEVEL_INTERVAL = 100;
+
+    // Number of measurements in the short-term loudness window (3 s)
+    const AUTO_LEVEL_WINDOW = 30;
+
+    // Below this the input counts as silence and the gain is left alone
+    const AUTO_LEVEL_GATE = -50;
+
+    // How often level meters are sampled and streamed (ms)
+    const METER_INTERVAL = 50;
+
+    // Clipping is reported to the background at most this often (ms)
+    const CLIP_REPORT_INTERVAL = 1000;
+
+    // Highest overall gain (600%)
+    const MAX_GAIN = 6;
+
+    const DEFAULT_EQ = {
+        enabled: true,
+        preset: 'flat',
+        gains: EQ_PRESETS.flat
+    };
+
+    // ============================================================
+    // Chain Construction
+    // source -> autoGain -> gain -> [mono] -> [swap] -> [balance] -> [equalizer]
+    //        -> [limiter] -> destination
+    // ============================================================
+
+    // Downmixes to one channel; the next node upmixes it to both speakers
+    function createMonoNode(audioContext) {
+        const mono = audioContext.createGain();
+        mono.channelCount = 1;
+        mono.channelCountMode = 'explicit';
+        mono.channelInterpretation = 'speakers';
+        return mono;
+    }
+
+    // Splitter outputs wired crosswise into the merger inputs. The splitter
+    // maps its input discretely, which would leave a mono source in one
+    // ear, so a stereo upmix goes first.
+    function createSwapNodes(audioContext) {
+        const stereo = audioContext.createGain();
+        stereo.channelCount = 2;
+        stereo.channelCountMode = 'explicit';
+        stereo.channelInterpretation = 'speakers';
+        const splitter = audioContext.createChannelSplitter(2);
+        const merger = audioContext.createChannelMerger(2);
+        stereo.connect(splitter);
+        splitter.connect(merger, 0, 1);
+        splitter.connect(merger, 1, 0);
+        return { input: stereo, output: merger };
+    }
+
+    function createEqFilters(audioContext) {
+        const filters = EQ_BANDS.map((frequency, i) => {
+            const filter = audioContext.createBiquadFilter();
+            // Shelves at both ends, peaking bands in between
+            if (i === 0) {
+                filter.type = 'lowshelf';
+            } else if (i === EQ_BANDS.length - 1) {
+                filter.type = 'highshelf';
+            } else {
+                filter.type = 'peaking';
+                filter.Q.value = 1.4;
+            }
+            filter.frequency.value = frequency;
+            filter.gain.value = 0;
+            return filter;
+        });
+        for (let i = 0; i < filters.length - 1; i++) {
+            filters[i].connect(filters[i + 1]);
+        }
+        return filters;
+    }
+
+    // Loudness tap: approximate K-weighting (ITU-R BS.1770) in front of an
+    // analyser. Only connected to the source while auto level is on.
+    function createLoudnessMeter(audioContext) {
+        const shelf = audioContext.createBiquadFilter();
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1500;
+        shelf.gain.value = 4;
+
+        const highpass = audioContext.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 38;
+
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 2048;
+
+        shelf.connect(highpass);
+        highpass.connect(analyser);
+        return {
+            input: shelf,
+            analyser: analyser,
+            samples: new Float32Array(analyser.fftSize),
+            history: []
+        };
+    }
+
+    // Each read covers at least two meter intervals, so no peak falls
+    // between reads even when a timer fires late
+    function getMeterSize(sampleRate) {
+        const samples = sampleRate * METER_INTERVAL * 2 / 1000;
+        return Math.min(32768, Math.pow(2, Math.ceil(Math.log2(samples))));
+    }
+
+    function createChain(audioContext, source) {
+        const chain = {
+            context: audioContext,
+            source: source,
+            volume: 100,
+            autoGain: audioContext.createGain(),
+            autoLevel: Object.assign({}, DEFAULT_AUTO_LEVEL),
+            loudness: createLoudnessMeter(audioContext),
+            gain: audioContext.createGain(),
+            mono: createMonoNode(audioContext),
+            monoEnabled: false,
+            swap: createSwapNodes(audioContext),
+            swapEnabled: false,
+            balance: audioContext.createStereoPanner(),
+            balanceEnabled: false,
+            eq: createEqFilters(audioContext),
+            eqEnabled: false,
+            eqBoosts: false,
+            limiter: audioContext.createDynamicsCompressor(),
+            limiterEnabled: DEFAULT_LIMITER.enabled,
+            limiterWired: false,
+            meter: audioContext.createAnalyser(),
+            meterEnabled: false
+        };
+        chain.meter.fftSize = getMeterSize(audioContext.sampleRate);
+        chain.meterSamples = new Float32Array(chain.meter.fftSize);
+
+        // A hard knee keeps the compressor acting like a limiter
+        chain.limiter.knee.value = 0;
+
+        source.connect(chain.autoGain);
+        chain.autoGain.connect(chain.gain);
+        applyLimiter(chain, DEFAULT_LIMITER);
+        return chain;
+    }
+
+    // Swaps the node feeding the chain, e.g. when a call replaces the
+    // MediaStream of an element
+    function setSource(chain, source) {
+        chain.source.disconnect();
+        chain.source = source;
+        source.connect(chain.autoGain);
+        if (chain.autoLevel.enabled) {
+            source.connect(chain.loudness.input);
+        }
+    }
+
+    // Whether any stage can raise the level above the source's. Otherwise
+    // the limiter is left out: its makeup gain would change unity playback.
+    function canExceedSource(chain) {
+        return chain.volume > 100 || chain.autoLevel.enabled || chain.balanceEnabled
+            || (chain.eqEnabled && chain.eqBoosts);
+    }
+
+    // Rewires when the limiter has to come in or may go out
+    function updateLimiterWiring(chain) {
+        if (chain.wired && chain.limiterWired !== (chain.limiterEnabled && canExceedSource(chain))) {
+            wireChain(chain);
+        }
+    }
+
+    // (Re)connects the stages after the gain node, skipping disabled ones.
+    // Each stage is an {input, output} pair so multi-node stages keep
+    // their internal connections. The level meter taps whatever reaches
+    // the destination.
+    function wireChain(chain) {
+        const stages = [{ input: chain.gain, output: chain.gain }];
+        if (chain.monoEnabled) {
+            stages.push({ input: chain.mono, output: chain.mono });
+        }
+        if (chain.swapEnabled) {
+            stages.push(chain.swap);
+        }
+        if (chain.balanceEnabled) {
+            stages.push({ input: chain.balance, output: chain.balance });
+        }
+        if (chain.eqEnabled) {
+            stages.push({ input: chain.eq[0], output: chain.eq[chain.eq.length - 1] });
+        }
+        chain.limiterWired = chain.limiterEnabled && canExceedSource(chain);
+        if (chain.limiterWired) {
+            stages.push({ input: chain.limiter, output: chain.limiter });
+        }
+
+        chain.gain.disconnect();
+        chain.mono.disconnect();
+        chain.swap.output.disconnect();
+        chain.balance.disconnect();
+        chain.eq[chain.eq.length - 1].disconnect();
+        chain.limiter.disconnect();
+        for (let i = 0; i < stages.length; i++) {
+            stages[i].output.connect(i + 1 < stages.length ? stages[i + 1].input : chain.context.destination);
+        }
+        if (chain.meterEnabled) {
+            stages[stages.length - 1].output.connect(chain.meter);
+        }
+    }
+
+    // ============================================================
+    // Parameter Updates
+    // ============================================================
+
+    function setParam(chain, param, value) {
+        param.setValueAtTime(value, chain.context.currentTime);
+    }
+
+    function setGain(chain, volume) {
+        const gainValue = volume / 100;
+        chain.volume = volume;
+        if (chain.gain.gain.value !== gainValue) {
+            // Use setValueAtTime for smooth audio transition (avoids clicks/pops)
+            setParam(chain, chain.gain.gain, gainValue);
+        }
+        updateLimiterWiring(chain);
+    }
+
+    function applyLimiter(chain, settings) {
+        const limiter = Object.assign({}, DEFAULT_LIMITER, settings);
+        setParam(chain, chain.limiter.threshold, Number(limiter.threshold));
+        setParam(chain, chain.limiter.ratio, Number(limiter.ratio));
+        setParam(chain, chain.limiter.attack, Number(limiter.attack) / 1000);
+        setParam(chain, chain.limiter.release, Number(limiter.release) / 1000);
+
+        const enabled = Boolean(limiter.enabled);
+        if (chain.limiterEnabled !== enabled || !chain.wired) {
+            chain.limiterEnabled = enabled;
+            chain.wired = true;
+            wireChain(chain);
+        }
+    }
+
+    function applyEq(chain, settings) {
+        const eq = Object.assign({}, DEFAULT_EQ, settings);
+        const gains = Array.isArray(eq.gains) ? eq.gains : DEFAULT_EQ.gains;
+        chain.eq.forEach((filter, i) => {
+            setParam(chain, filter.gain, Number(gains[i]) || 0);
+        });
+
+        // A flat curve is bypassed entirely instead of running ten no-op filters
+        const enabled = Boolean(eq.enabled) && gains.some((gain) => Number(gain) !== 0);
+        chain.eqBoosts = gains.some((gain) => Number(gain) > 0);
+        if (chain.eqEnabled !== enabled) {
+            chain.eqEnabled = enabled;
+            wireChain(chain);
+        } else {
+            updateLimiterWiring(chain);
+        }
+    }
+
+    function applyStereo(chain, settings) {
+        const stereo = Object.assign({}, DEFAULT_STEREO, settings);
+        const balance = Math.max(-100, Math.min(100, Number(stereo.balance) || 0));
+        setParam(chain, chain.balance.pan, balance / 100);
+
+        // Swapping channels of a mono downmix would only silence one side
+        const monoEnabled = Boolean(stereo.mono);
+        const swapEnabled = Boolean(stereo.swap) && !monoEnabled;
+        const balanceEnabled = balance !== 0;
+        if (chain.monoEnabled !== monoEnabled || chain.swapEnabled !== swapEnabled || chain.balanceEnabled !== balanceEnabled) {
+            chain.monoEnabled = monoEnabled;
+            chain.swapEnabled = swapEnabled;
+            chain.balanceEnabled = balanceEnabled;
+            wireChain(chain);
+        }
+    }
+
+    function applyAutoLevel(chain, settings) {
+        const autoLevel = Object.assign({}, DEFAULT_AUTO_LEVEL, settings);
+        const enabled = Boolean(autoLevel.enabled);
+        chain.autoLevel.target = Number(autoLevel.target);
+        if (chain.autoLevel.enabled === enabled) {
+            return;
+        }
+        chain.autoLevel.enabled = enabled;
+        chain.loudness.history = [];
+        updateLimiterWiring(chain);
+        if (enabled) {
+            chain.source.connect(chain.loudness.input);
+        } else {
+            chain.source.disconnect(chain.loudness.input);
+            chain.autoGain.gain.cancelScheduledValues(chain.context.currentTime);
+            chain.autoGain.gain.setTargetAtTime(1, chain.context.currentTime, 0.1);
+        }
+    }
+
+    // One auto level step: measures the input loudness over the short-term
+    // window and glides the auto gain toward the target. Callers run this
+    // every AUTO_LEVEL_INTERVAL ms while auto level is enabled.
+    function updateAutoLevel(chain) {
+        if (!chain.autoLevel.enabled || chain.context.state !== 'running') {
+            return;
+        }
+        const meter = chain.loudness;
+        meter.analyser.getFloatTimeDomainData(meter.samples);
+        let sum = 0;
+        for (let i = 0; i < meter.samples.length; i++) {
+            sum += meter.samples[i] * meter.samples[i];
+        }
+        meter.history.push(sum / meter.samples.length);
+        if (meter.history.length > AUTO_LEVEL_WINDOW) {
+            meter.history.shift();
+        }
+
+        const meanSquare = meter.history.reduce((total, value) => total + value, 0) / meter.history.length;
+        const loudness = -0.691 + 10 * Math.log10(meanSquare);
+        if (!isFinite(loudness) || loudness < AUTO_LEVEL_GATE) {
+            return;
+        }
+
+        // Auto gain and the user's volume together never exceed 600%
+        const ceiling = Math.min(MAX_GAIN, MAX_GAIN / Math.max(chain.volume / 100, 0.01));
+        const desired = Math.max(0.1, Math.min(ceiling, Math.pow(10, (chain.autoLevel.target - loudness) / 20)));
+
+        // React quickly to loud passages (ads, music) and recover slowly
+        const current = chain.autoGain.gain.value;
+        chain.autoGain.gain.setTargetAtTime(desired, chain.context.currentTime, desired < current ? 0.3 : 2);
+    }
+
+    // ============================================================
+    // Level Metering
+    // ============================================================
+
+    // The meter tap is only connected while someone is watching
+    function setMetering(chain, enabled) {
+        if (chain.meterEnabled !== enabled) {
+            chain.meterEnabled = enabled;
+            wireChain(chain);
+        }
+    }
+
+    // Peak and RMS of the output since about the last read, as linear
+    // amplitudes (1 is full scale, anything above clips)
+    function readLevels(chain) {
+        chain.meter.getFloatTimeDomainData(chain.meterSamples);
+        let peak = 0;
+        let sum = 0;
+        for (let i = 0; i < chain.meterSamples.length; i++) {
+            const sample = chain.meterSamples[i];
+            peak = Math.max(peak, Math.abs(sample));
+            sum += sample * sample;
+        }
+        return { peak: peak, rms: Math.sqrt(sum / chain.meterSamples.length) };
+    }
+
+    // ============================================================
+    // Source Probe
+    // Lets callers check whether the source delivers any signal at all
+    // (Firefox feeds silence for cross-origin media without CORS)
+    // ============================================================
+
+    function setProbe(chain, enabled) {
+        if (enabled && !chain.probe) {
+            chain.probe = chain.context.createAnalyser();
+            chain.probe.fftSize = 256;
+            chain.probeSamples = new Float32Array(chain.probe.fftSize);
+            chain.source.connect(chain.probe);
+        } else if (!enabled && chain.probe) {
+            chain.source.disconnect(chain.probe);
+            chain.probe = null;
+        }
+    }
+
+    function readSourcePeak(chain) {
+        chain.probe.getFloatTimeDomainData(chain.probeSamples);
+        let peak = 0;
+        for (let i = 0; i < chain.probeSamples.length; i++) {
+            peak = Math.max(peak, Math.abs(chain.probeSamples[i]));
+        }
+        return peak;
+    }
+
+    // Site-specific EQ wins over the global one
+    function resolveEq(result, host) {
+        const siteEq = result.siteEq || {};
+        return Object.assign({}, DEFAULT_EQ, host && siteEq[host] ? siteEq[host] : result.eq);
+    }
+
+    return {
+        DEFAULT_LIMITER: DEFAULT_LIMITER,
+        DEFAULT_EQ: DEFAULT_EQ,
+        DEFAULT_STEREO: DEFAULT_STEREO,
+        DEFAULT_AUTO_LEVEL: DEFAULT_AUTO_LEVEL,
+        AUTO_LEVEL_INTERVAL: AUTO_LEVEL_INTERVAL,
+        METER_INTERVAL: METER_INTERVAL,
+        CLIP_REPORT_INTERVAL: CLIP_REPORT_INTERVAL,
+        EQ_BANDS: EQ_BANDS,
+        EQ_PRESETS: EQ_PRESETS,
+        createChain: createChain,
+        setSource: setSource,
+        setGain: setGain,
+        applyLimiter: applyLimiter,
+        applyEq: applyEq,
+        applyStereo: applyStereo,
+        applyAutoLevel: applyAutoLevel,
+        updateAutoLevel: updateAutoLevel,
+        setMetering: setMetering,
+        readLevels: readLevels,
+        setProbe: setProbe,
+        readSourcePeak: readSourcePeak,
+        resolveEq: resolveEq
+    };
+})();
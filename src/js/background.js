@@ -6,99 +6,665 @@ function _browser() {
     }
 }
 
-function setBadgeText(soundVolume) {
-    if (100 === soundVolume) {
-        _browser().browserAction.setBadgeText({text: null});
-    } else {
-        _browser().browserAction.setBadgeText({text: soundVolume.toString()});
+// browserAction became action in Manifest V3
+function getActionApi() {
+    return _browser().action || _browser().browserAction;
+}
+
+// Manifest V3 runs this script in a service worker (see service-worker.js)
+function isServiceWorker() {
+    return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+}
+
+// The badge shows each tab's volume (nothing at 100%) in the colour of its
+// BADGE_COLORS state. It is set per tab, only when something changes: the
+// volume, the tab's clip light, capture or CORS status, a navigation (which
+// resets tab-specific badges) or a tab or window coming to the front.
+const BADGE_COLORS = {
+    normal: '#666666',
+    boosted: '#c77700',
+    loud: '#d00000',        // clipping, or above the badgeSafetyVolume setting
+    muted: '#9e9e9e',
+    unavailable: '#3367d6'  // excluded site, failed capture or CORS-tainted media
+};
+
+// Tabs whose output clipped since the popup's clip light was last reset.
+// Reported by the audio side while the clipBadge setting is on, and by
+// the popup's level meter; the badge and the clip light both show it.
+window.clippedTabs = {};
+
+// Excluded sites and failed captures are not boosted at all: their badge
+// only warns that a volume other than 100% is not applied
+function getBadge(tab, soundVolume, settings) {
+    const capture = window.tabCaptures[tab.id];
+    const status = window.tabStatus[tab.id];
+    const text = 100 === soundVolume ? '' : soundVolume.toString();
+    if (isExcludedUrl(tab.url) || (capture && capture.state === 'failed')) {
+        return {text: 100 === soundVolume ? '' : '!', color: BADGE_COLORS.unavailable};
+    }
+    if (status && status.degraded) {
+        return {text: text, color: BADGE_COLORS.unavailable};
+    }
+    if (soundVolume === 0) {
+        return {text: text, color: BADGE_COLORS.muted};
     }
+    if ((settings.clipBadge && window.clippedTabs[tab.id]) || soundVolume > settings.badgeSafetyVolume) {
+        return {text: text, color: BADGE_COLORS.loud};
+    }
+    return {text: text, color: soundVolume > 100 ? BADGE_COLORS.boosted : BADGE_COLORS.normal};
 }
 
-function updateBadgeText() {
-    sendToActiveTab('getSoundVolume', response => {
-        if (response && response.soundVolume >= 0) {
-            setBadgeText(response.soundVolume);
-        } else {
-            // Fall back to saved volume from storage
-            _browser().storage.local.get({savedVolume: 100}, (result) => {
-                setBadgeText(result.savedVolume);
-            });
+function setBadge(tabId) {
+    if (!(tabId in window.tabVolumes)) {
+        return;
+    }
+    _browser().tabs.get(tabId, tab => {
+        window.lastError = _browser().runtime.lastError;
+        if (!tab) {
+            return;
         }
+        Settings.get(['clipBadge', 'badgeSafetyVolume'], (settings) => {
+            const badge = getBadge(tab, window.tabVolumes[tabId], settings);
+            getActionApi().setBadgeText({text: badge.text, tabId: tabId});
+            getActionApi().setBadgeBackgroundColor({color: badge.color, tabId: tabId});
+        });
     });
 }
 
-function sendToActiveTab(action, onResponse) {
-    _browser().tabs.query({'currentWindow': true, 'active': true},
-        tabs => {
-            try{
-                if (tabs.length > 0) {
-                    _browser().tabs.sendMessage(tabs[0].id, {'action': action},
-                        response => {
-                            window.lastError = _browser().runtime.lastError;
-                            if (onResponse) {
-                                onResponse(response);
-                            }
-                        });
-                } else {
-                    onResponse(null);
+// Upgrade and repair stored settings before anything else relies on them
+SettingsSync.init();
+Settings.migrate(SettingsSync.start);
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return '';
+    }
+}
+
+function updateBadge(tab) {
+    getTabVolume(tab, () => setBadge(tab.id));
+}
+
+// The active tab of every window matching the query
+function updateActiveBadges(query) {
+    _browser().tabs.query(Object.assign({active: true}, query), tabs => {
+        tabs.forEach(updateBadge);
+    });
+}
+
+// Volume of every tab, keyed by tab id. This is the single source of truth:
+// content scripts ask for their tab's level on load and receive every change
+// from here, so it survives navigations within the tab's site.
+window.tabVolumes = {};
+
+// Site each tab's volume belongs to, keyed by tab id. A navigation to
+// another site starts over from the volume saved for that site.
+window.tabHosts = {};
+
+function isSameTabSite(tab) {
+    return !(tab.id in window.tabHosts) || window.tabHosts[tab.id] === getHostname(tab.url);
+}
+
+function getTabVolume(tab, callback) {
+    if (tab.id in window.tabVolumes && isSameTabSite(tab)) {
+        if (!(tab.id in window.tabHosts)) {
+            window.tabHosts[tab.id] = getHostname(tab.url);
+            saveSessionState();
+        }
+        callback(window.tabVolumes[tab.id]);
+        return;
+    }
+    // First use of this tab or site: start from the volume saved for the site, then the global default
+    Settings.get(['savedVolume', 'siteVolumes'], (result) => {
+        const host = getHostname(tab.url);
+        if (!(tab.id in window.tabVolumes) || !isSameTabSite(tab)) {
+            window.tabVolumes[tab.id] = host in result.siteVolumes ? result.siteVolumes[host] : result.savedVolume;
+            window.tabHosts[tab.id] = host;
+            delete window.mutedVolumes[tab.id];
+        }
+        callback(window.tabVolumes[tab.id]);
+        saveSessionState();
+    });
+}
+
+function setTabVolume(tabId, soundVolume) {
+    // Remembered so toggle_mute can restore it, however the tab was muted
+    if (soundVolume === 0 && window.tabVolumes[tabId] > 0) {
+        window.mutedVolumes[tabId] = window.tabVolumes[tabId];
+    }
+    window.tabVolumes[tabId] = soundVolume;
+    saveSessionState();
+    _browser().tabs.get(tabId, tab => {
+        window.lastError = _browser().runtime.lastError;
+        if (!tab) {
+            return;
+        }
+        // Excluded sites are not captured; an existing capture passes through at 100%
+        applyTabCaptureVolume(tabId, isExcludedUrl(tab.url) ? 100 : soundVolume);
+    });
+    // Without a frameId the message reaches every frame of the tab
+    _browser().tabs.sendMessage(tabId, {action: 'changeSoundVolume', data: {soundVolume: soundVolume}}, () => {
+        window.lastError = _browser().runtime.lastError;
+    });
+    setBadge(tabId);
+}
+
+// Volume of each muted tab before it was muted, keyed by tab id
+window.mutedVolumes = {};
+
+// A service worker is stopped when idle, so there the per-tab state is kept
+// in storage.session and read back when it starts again. Listeners that use
+// the state are wrapped in afterSessionRestore.
+const SESSION_KEYS = ['tabVolumes', 'tabHosts', 'mutedVolumes', 'tabStatus', 'tabCaptures', 'clippedTabs'];
+
+let sessionRestored = !isServiceWorker();
+
+const sessionRestore = new Promise(resolve => {
+    if (sessionRestored) {
+        resolve();
+        return;
+    }
+    _browser().storage.session.get(SESSION_KEYS, stored => {
+        SESSION_KEYS.forEach(key => Object.assign(window[key], stored[key]));
+        sessionRestored = true;
+        resolve();
+    });
+});
+
+function saveSessionState() {
+    if (!isServiceWorker()) {
+        return;
+    }
+    const state = {};
+    SESSION_KEYS.forEach(key => {
+        state[key] = window[key];
+    });
+    _browser().storage.session.set(state);
+}
+
+// Until the state is back, calls are queued; returning true keeps the
+// sendResponse of a queued runtime.onMessage call valid
+function afterSessionRestore(listener) {
+    return function() {
+        if (sessionRestored) {
+            return listener.apply(null, arguments);
+        }
+        const args = arguments;
+        sessionRestore.then(() => listener.apply(null, args));
+        return true;
+    };
+}
+
+// Mutes the tab, or restores the volume it had before it was muted
+function getToggledMuteVolume(tabId, soundVolume) {
+    return soundVolume === 0 ? (window.mutedVolumes[tabId] || 100) : 0;
+}
+
+// Keyboard commands (see "commands" in manifest.json); they act on the
+// active tab and never change the saved site or default volume
+function getCommandVolume(command, tabId, soundVolume, settings) {
+    const preset = command.match(/^preset_(\d)$/);
+    if (preset) {
+        return Math.min(Number(preset[1]) * 100, settings.sliderMax);
+    }
+    switch (command) {
+        case 'volume_up':
+            // Never lowers a level set above the slider maximum
+            return Math.max(soundVolume, Math.min(settings.sliderMax, soundVolume + settings.commandStep));
+        case 'volume_down':
+            return Math.max(0, soundVolume - settings.commandStep);
+        case 'toggle_mute':
+            return getToggledMuteVolume(tabId, soundVolume);
+        case 'reset_volume':
+            return 100;
+        default:
+            return null;
+    }
+}
+
+_browser().commands.onCommand.addListener(afterSessionRestore(command => {
+    _browser().tabs.query({currentWindow: true, active: true}, tabs => {
+        if (tabs.length === 0) {
+            return;
+        }
+        const tab = tabs[0];
+        startTabCapture(tab.id);
+        Settings.get(['commandStep', 'sliderMax'], settings => {
+            getTabVolume(tab, soundVolume => {
+                const volume = getCommandVolume(command, tab.id, soundVolume, settings);
+                if (volume !== null && volume !== soundVolume) {
+                    setTabVolume(tab.id, volume);
                 }
-            } catch (e) {
-            }
+            });
         });
+    });
+}));
+
+// Site exclusion list (see host-patterns.js), kept in sync with storage
+window.ignoredHosts = HostPatterns.DEFAULT_IGNORED_HOSTS;
+
+Settings.get('ignoredHosts', (result) => {
+    window.ignoredHosts = result.ignoredHosts;
+});
+
+function isExcludedUrl(url) {
+    return HostPatterns.matches(window.ignoredHosts, url);
 }
 
-window.audioStates = [];
-_browser().runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (sendResponse && !sendResponse) {
-        console.warn(sendResponse);
+// Per-tab problems reported by content scripts, e.g. {degraded: true} when
+// CORS-tainted media had to fall back to native volume. Reset on navigation.
+window.tabStatus = {};
+
+// Chrome captures tab audio and plays it back through js/tab-capture.js:
+// in this page under Manifest V2, in an offscreen document under Manifest V3,
+// since a service worker cannot hold an AudioContext. Firefox has no
+// tabCapture; its content scripts boost the media elements instead.
+const OFFSCREEN_URL = 'offscreen/index.html';
+
+// Capture of each tab, keyed by tab id: {state: 'starting', 'active' or
+// 'failed', error: one of CAPTURE_ERRORS' codes or 'failed'}
+window.tabCaptures = {};
+
+// tabCapture.getMediaStreamId errors, by the code the popup shows
+const CAPTURE_ERRORS = [
+    {code: 'busy', pattern: /active stream/i},
+    {code: 'restricted', pattern: /not been invoked|chrome pages|cannot be captured/i}
+];
+
+let offscreenCreating = null;
+
+function ensureOffscreenDocument(callback) {
+    _browser().offscreen.hasDocument().then(exists => {
+        if (exists) {
+            return;
+        }
+        if (!offscreenCreating) {
+            offscreenCreating = _browser().offscreen.createDocument({
+                url: OFFSCREEN_URL,
+                reasons: ['USER_MEDIA'],
+                justification: 'Plays captured tab audio at the chosen volume'
+            }).finally(() => {
+                offscreenCreating = null;
+            });
+        }
+        return offscreenCreating;
+    }).then(callback, error => {
+        console.warn('600% Sound Volume: cannot create the offscreen document', error);
+    });
+}
+
+// See TabCapture.handleMessage for the messages
+function sendToCapture(message, callback) {
+    callback = callback || (() => {});
+    if (!_browser().offscreen) {
+        TabCapture.handleMessage(message, callback);
+        return;
     }
-    if (request.action === 'changeSoundVolume') {
-        // Save the volume to storage
-        if (request.data.soundVolume !== undefined) {
-            _browser().storage.local.set({savedVolume: request.data.soundVolume});
-        }
-        // setBadgeText(request.data.soundVolume);
-        if (_browser().tabCapture) {
-            let audioState = window.audioStates[sender.tab.id];
-            if (!audioState) {
-                _browser().tabCapture.capture({
-                    audio: true,
-                    video: false
-                }, stream => {
-                    //const err = _browser().runtime.lastError;
-                    if (!stream) {
-                        // setBadgeText(100);
+    ensureOffscreenDocument(() => {
+        _browser().runtime.sendMessage(Object.assign({target: 'offscreen'}, message), response => {
+            window.lastError = _browser().runtime.lastError;
+            callback(response);
+        });
+    });
+}
+
+function isCaptureActive(tabId) {
+    return Boolean(window.tabCaptures[tabId]) && window.tabCaptures[tabId].state === 'active';
+}
+
+function getCaptureErrorCode(message) {
+    const known = CAPTURE_ERRORS.find(error => error.pattern.test(message || ''));
+    return known ? known.code : 'failed';
+}
+
+function handleCaptureEnded(tabId) {
+    delete window.tabCaptures[tabId];
+    saveSessionState();
+    setBadge(tabId);
+}
+
+// From TabCapture here (Manifest V2) or from the offscreen document
+function handleCaptureNotice(message) {
+    if (message.action === 'captureEnded') {
+        handleCaptureEnded(message.tabId);
+    } else if (message.action === 'captureClipped') {
+        setBadgeClipped(message.tabId);
+    }
+}
+
+if (typeof TabCapture !== 'undefined') {
+    TabCapture.init(handleCaptureNotice);
+}
+
+// Starts capturing the tab, once. tabCapture only hands out a tab that the
+// user just invoked the extension on, so this runs on user actions only:
+// the popup opening and the keyboard commands. callback gets the capture.
+function startTabCapture(tabId, callback) {
+    callback = callback || (() => {});
+    const capture = window.tabCaptures[tabId];
+    if (!_browser().tabCapture || (capture && capture.state !== 'failed')) {
+        callback(capture || null);
+        return;
+    }
+    const finish = (result) => {
+        window.tabCaptures[tabId] = result;
+        saveSessionState();
+        setBadge(tabId);
+        callback(result);
+    };
+    window.tabCaptures[tabId] = {state: 'starting'};
+
+    _browser().tabs.get(tabId, tab => {
+        window.lastError = _browser().runtime.lastError;
+        if (!tab || isExcludedUrl(tab.url)) {
+            delete window.tabCaptures[tabId];
+            callback(null);
+            return;
+        }
+        getTabVolume(tab, soundVolume => {
+            getTabCaptureProcessing(tab, processing => {
+                _browser().tabCapture.getMediaStreamId({targetTabId: tabId}, streamId => {
+                    const error = _browser().runtime.lastError;
+                    window.lastError = error;
+                    if (!streamId) {
+                        console.warn('600% Sound Volume: cannot capture tab', tabId, error && error.message);
+                        finish({state: 'failed', error: getCaptureErrorCode(error && error.message)});
                         return;
                     }
-                    audioState = {};
-                    audioState.audiocontext = new AudioContext();
-                    audioState.creategain = audioState.audiocontext.createGain();
-                    audioState.source = audioState.audiocontext.createMediaStreamSource(stream);
-                    audioState.source.connect(audioState.creategain);
-                    audioState.creategain.connect(audioState.audiocontext.destination);
-                    window.audioStates[sender.tab.id] = audioState;
-                    if (request.data.soundVolume !== undefined) {
-                        audioState.creategain.gain.value = request.data.soundVolume / 100;
-                    }
+                    sendToCapture({action: 'start', tabId: tabId, streamId: streamId, volume: soundVolume, processing: processing}, response => {
+                        if (!response || !response.captured) {
+                            console.warn('600% Sound Volume: cannot capture tab', tabId, response && response.error);
+                            finish({state: 'failed', error: getCaptureErrorCode(response && response.error)});
+                            return;
+                        }
+                        finish({state: 'active'});
+                        // The volume may have changed while the capture started
+                        if (window.tabVolumes[tabId] !== soundVolume) {
+                            applyTabCaptureVolume(tabId, isExcludedUrl(tab.url) ? 100 : window.tabVolumes[tabId]);
+                        }
+                    });
                 });
-            } else {
-                if (request.data.soundVolume !== undefined) {
-                    audioState.creategain.gain.value = request.data.soundVolume / 100;
-                }
-            }
+            });
+        });
+    });
+}
+
+// The tab's capture, {state: 'none'} when it has none; null where tabs are
+// not captured: in Firefox and on excluded sites
+function getTabCapture(tabId, callback) {
+    if (!_browser().tabCapture) {
+        callback(null);
+        return;
+    }
+    _browser().tabs.get(tabId, tab => {
+        window.lastError = _browser().runtime.lastError;
+        if (!tab || isExcludedUrl(tab.url)) {
+            callback(null);
+            return;
+        }
+        callback(window.tabCaptures[tabId] || {state: 'none'});
+    });
+}
+
+function applyTabCaptureVolume(tabId, soundVolume) {
+    if (isCaptureActive(tabId)) {
+        sendToCapture({action: 'setVolume', tabId: tabId, volume: soundVolume});
+    }
+}
+
+// Auto level, stereo, limiter and equalizer stages of a captured tab, and
+// whether it is watched for clipping; the EQ depends on the tab's current site
+function getTabCaptureProcessing(tab, callback) {
+    Settings.get(['limiter', 'eq', 'siteEq', 'stereo', 'autoLevel', 'clipBadge'], (result) => {
+        callback({
+            autoLevel: result.autoLevel,
+            stereo: result.stereo,
+            limiter: result.limiter,
+            eq: AudioGraph.resolveEq(result, getHostname(tab.url)),
+            clipWatch: result.clipBadge
+        });
+    });
+}
+
+function applyTabCaptureProcessing(tabId) {
+    _browser().tabs.get(tabId, tab => {
+        window.lastError = _browser().runtime.lastError;
+        if (tab && isCaptureActive(tabId)) {
+            getTabCaptureProcessing(tab, processing => {
+                sendToCapture({action: 'applyProcessing', tabId: tabId, processing: processing});
+            });
+        }
+    });
+}
+
+_browser().storage.onChanged.addListener(afterSessionRestore((changes, areaName) => {
+    if (areaName === 'local' && changes.ignoredHosts) {
+        window.ignoredHosts = changes.ignoredHosts.newValue || HostPatterns.DEFAULT_IGNORED_HOSTS;
+    }
+    if (areaName === 'local' && (changes.ignoredHosts || changes.clipBadge || changes.badgeSafetyVolume)) {
+        updateActiveBadges({});
+    }
+    if (areaName === 'local' && (changes.limiter || changes.eq || changes.siteEq || changes.stereo || changes.autoLevel
+        || changes.clipBadge)) {
+        Object.keys(window.tabCaptures).forEach(tabId => applyTabCaptureProcessing(Number(tabId)));
+    }
+}));
+
+// Level meter for the popup. Captured tabs (Chrome) are measured here,
+// otherwise the levels come from the tab's content scripts.
+function startMeter(port, tabId) {
+    let levels = {peak: 0, rms: 0};
+    let tabPort = null;
+    let stopped = false;
+    const captured = isCaptureActive(tabId);
+    if (captured) {
+        sendToCapture({action: 'setMetering', tabId: tabId, enabled: true});
+    } else {
+        // Every frame of the tab answers on the same port
+        tabPort = _browser().tabs.connect(tabId, {name: 'meter'});
+        tabPort.onMessage.addListener(frameLevels => {
+            levels.peak = Math.max(levels.peak, frameLevels.peak);
+            levels.rms = Math.max(levels.rms, frameLevels.rms);
+        });
+    }
+
+    const report = (reported) => {
+        if (stopped) {
+            return;
+        }
+        if (reported.peak >= 1) {
+            setBadgeClipped(tabId);
+        }
+        port.postMessage({peak: reported.peak, rms: reported.rms, clipped: Boolean(window.clippedTabs[tabId])});
+    };
+
+    const timer = setInterval(() => {
+        if (captured) {
+            sendToCapture({action: 'readLevels', tabId: tabId}, captureLevels => report(captureLevels || {peak: 0, rms: 0}));
         } else {
-            // setBadgeText(request.data.soundVolume);
+            report(levels);
+            levels = {peak: 0, rms: 0};
+        }
+    }, AudioGraph.METER_INTERVAL);
+
+    return () => {
+        stopped = true;
+        clearInterval(timer);
+        if (tabPort) {
+            tabPort.disconnect();
+        }
+        if (captured) {
+            sendToCapture({action: 'setMetering', tabId: tabId, enabled: false});
         }
+    };
+}
+
+// Turns the tab's badge red (with the clipBadge setting) until the popup's
+// clip light is reset
+function setBadgeClipped(tabId) {
+    if (!window.clippedTabs[tabId]) {
+        window.clippedTabs[tabId] = true;
+        saveSessionState();
+        setBadge(tabId);
     }
-});
+}
 
-_browser().tabs.onRemoved.addListener(tabId => {
-    const audioState = audioStates[tabId];
-    if (audioState) {
-        audioState.audiocontext.close().then(() => {
-            delete audioStates[tabId];
+function resetBadgeClipped(tabId) {
+    if (window.clippedTabs[tabId]) {
+        delete window.clippedTabs[tabId];
+        saveSessionState();
+        setBadge(tabId);
+    }
+}
+
+_browser().runtime.onConnect.addListener(afterSessionRestore(port => {
+    if (port.name !== 'meter') {
+        return;
+    }
+    let stopMeter = null;
+    port.onMessage.addListener(message => {
+        if (message.action === 'watchTab' && !stopMeter) {
+            stopMeter = startMeter(port, message.tabId);
+        } else if (message.action === 'resetClip') {
+            resetBadgeClipped(message.tabId);
+        }
+    });
+    port.onDisconnect.addListener(() => {
+        if (stopMeter) {
+            stopMeter();
+        }
+    });
+}));
+
+_browser().tabs.onUpdated.addListener(afterSessionRestore((tabId, changeInfo, tab) => {
+    if (changeInfo.url && (tabId in window.tabStatus || tabId in window.clippedTabs)) {
+        delete window.tabStatus[tabId];
+        delete window.clippedTabs[tabId];
+        saveSessionState();
+    }
+    // Navigating to another host replaces the tab's level with that site's
+    // saved one (or the default) and pushes it to frames and captures; other
+    // updates only refresh the badge. A tab without a level yet gets one
+    // when its content script asks
+    if (changeInfo.url && tabId in window.tabVolumes && !isSameTabSite(tab)) {
+        getTabVolume(tab, soundVolume => setTabVolume(tabId, soundVolume));
+    } else if (changeInfo.status === 'loading' || changeInfo.url) {
+        setBadge(tabId);
+    }
+    if (changeInfo.url && isCaptureActive(tabId)) {
+        applyTabCaptureProcessing(tabId);
+    }
+}));
+
+_browser().runtime.onMessage.addListener(afterSessionRestore((request, sender, sendResponse) => {
+    if (sendResponse && !sendResponse) {
+        console.warn(sendResponse);
+    }
+    if (request.target === 'offscreen') {
+        return false;
+    }
+    if (request.action === 'getTabVolume') {
+        // Content scripts ask for their own tab, the popup names the tab it shows
+        if (sender.tab) {
+            getTabVolume(sender.tab, soundVolume => {
+                sendResponse({soundVolume: soundVolume, siteHost: getHostname(sender.tab.url)});
+                // A freshly loaded page starts with the tab's default badge
+                if (sender.frameId === 0) {
+                    setBadge(sender.tab.id);
+                }
+            });
+        } else {
+            _browser().tabs.get(request.tabId, tab => {
+                window.lastError = _browser().runtime.lastError;
+                if (tab) {
+                    getTabVolume(tab, soundVolume => sendResponse({soundVolume: soundVolume}));
+                } else {
+                    sendResponse(null);
+                }
+            });
+        }
+        return true;
+    } else if (request.action === 'reportDegraded') {
+        if (sender.tab) {
+            const status = window.tabStatus[sender.tab.id] || {degraded: true, origins: []};
+            if (status.origins.indexOf(request.data.origin) === -1) {
+                status.origins.push(request.data.origin);
+            }
+            window.tabStatus[sender.tab.id] = status;
+            saveSessionState();
+            setBadge(sender.tab.id);
+        }
+    } else if (request.action === 'getTabStatus') {
+        sendResponse(window.tabStatus[request.tabId] || {degraded: false, origins: []});
+    } else if (request.action === 'setTabVolume') {
+        const soundVolume = Number(request.data.soundVolume);
+        const tabId = sender.tab ? sender.tab.id : request.tabId;
+        if (!isNaN(soundVolume) && soundVolume >= 0 && soundVolume <= 600) {
+            setTabVolume(tabId, soundVolume);
+        }
+        sendResponse({soundVolume: window.tabVolumes[tabId]});
+    } else if (request.action === 'toggleTabMute') {
+        // Mute buttons of the popup mixer
+        _browser().tabs.get(request.tabId, tab => {
+            window.lastError = _browser().runtime.lastError;
+            if (!tab) {
+                sendResponse(null);
+                return;
+            }
+            getTabVolume(tab, soundVolume => {
+                setTabVolume(tab.id, getToggledMuteVolume(tab.id, soundVolume));
+                sendResponse({soundVolume: window.tabVolumes[tab.id]});
+            });
         });
+        return true;
+    } else if (request.action === 'startTabCapture') {
+        // Sent by the popup as it opens, or from its retry link
+        startTabCapture(request.tabId, sendResponse);
+        return true;
+    } else if (request.action === 'getTabCapture') {
+        // For tabs the popup was not opened on, which it cannot capture
+        getTabCapture(request.tabId, sendResponse);
+        return true;
+    } else if (request.action === 'reportClipped') {
+        if (sender.tab) {
+            setBadgeClipped(sender.tab.id);
+        }
+    } else if (request.action === 'captureEnded' || request.action === 'captureClipped') {
+        handleCaptureNotice(request);
     }
-});
+}));
+
+_browser().tabs.onRemoved.addListener(afterSessionRestore(tabId => {
+    delete window.tabVolumes[tabId];
+    delete window.tabHosts[tabId];
+    delete window.mutedVolumes[tabId];
+    delete window.tabStatus[tabId];
+    delete window.clippedTabs[tabId];
+    const capture = window.tabCaptures[tabId];
+    delete window.tabCaptures[tabId];
+    if (capture && capture.state !== 'failed') {
+        sendToCapture({action: 'stop', tabId: tabId});
+    }
+    saveSessionState();
+}));
+
+_browser().tabs.onActivated.addListener(afterSessionRestore(activeInfo => {
+    _browser().tabs.get(activeInfo.tabId, tab => {
+        window.lastError = _browser().runtime.lastError;
+        if (tab) {
+            updateBadge(tab);
+        }
+    });
+}));
+
+if (_browser().windows) {
+    _browser().windows.onFocusChanged.addListener(afterSessionRestore(windowId => {
+        if (windowId !== _browser().windows.WINDOW_ID_NONE) {
+            updateActiveBadges({windowId: windowId});
+        }
+    }));
+}
 
-setInterval(updateBadgeText, 500);
\ No newline at end of file
+afterSessionRestore(() => updateActiveBadges({}))();
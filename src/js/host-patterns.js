@@ -0,0 +1,103 @@
+/**
+ * 600% Sound Volume - Host Patterns
+ * Matching for the user-editable site lists (shared by the content
+ * scripts and the options page)
+ *
+ * A pattern is one of:
+ *   example.com      plain text, matches anywhere in the URL
+ *   *.example.com    wildcard, matched against the whole hostname
+ *                    ("*." also matches the bare domain)
+ *   /^video\d+\./i   regular expression, tested against the URL
+ */
+
+var HostPatterns = (function() {
+    'use strict';
+
+    // Hosts where we should not modify media sources
+    const DEFAULT_IGNORED_HOSTS = [
+        'cdn.videofarm.daum.net',
+        'computerbase.de',
+        'production.assets.clips.twitchcdn.net'
+    ];
+
+    // Hosts whose media is forced into CORS mode by js/page-hook.js
+    const DEFAULT_HOSTS_TO_APPLY = [
+        'likee.com',
+        'tiktok.com'
+    ];
+
+    const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+    // Compiled matchers by pattern text; lists are checked for every media element
+    const matcherCache = new Map();
+
+    function escapeRegex(text) {
+        return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Returns a {test(url, hostname)} matcher, or null for an invalid pattern
+    function compile(pattern) {
+        const text = String(pattern || '').trim();
+        if (!text) {
+            return null;
+        }
+
+        const regexParts = text.match(REGEX_PATTERN);
+        if (regexParts) {
+            try {
+                // With g or y, test() would resume from the last match
+                const regex = new RegExp(regexParts[1], regexParts[2].replace(/[gy]/g, ''));
+                return { test: (url) => regex.test(url) };
+            } catch (e) {
+                return null;
+            }
+        }
+
+        if (text.indexOf('*') !== -1) {
+            let source = escapeRegex(text.toLowerCase()).replace(/\*/g, '.*');
+            if (source.indexOf('.*\\.') === 0) {
+                source = '(?:.*\\.)?' + source.slice(4);
+            }
+            const regex = new RegExp('^' + source + '$');
+            return { test: (url, hostname) => regex.test(hostname) };
+        }
+
+        const lower = text.toLowerCase();
+        return { test: (url) => url.toLowerCase().indexOf(lower) !== -1 };
+    }
+
+    function isValid(pattern) {
+        return compile(pattern) !== null;
+    }
+
+    function getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (e) {
+            // Bare hosts such as location.host
+            return String(url).split('/')[0].split(':')[0].toLowerCase();
+        }
+    }
+
+    function matches(patterns, url) {
+        if (!url || !Array.isArray(patterns)) {
+            return false;
+        }
+        const hostname = getHostname(url);
+        return patterns.some((pattern) => {
+            if (!matcherCache.has(pattern)) {
+                matcherCache.set(pattern, compile(pattern));
+            }
+            const matcher = matcherCache.get(pattern);
+            return matcher !== null && matcher.test(url, hostname);
+        });
+    }
+
+    return {
+        DEFAULT_IGNORED_HOSTS: DEFAULT_IGNORED_HOSTS,
+        DEFAULT_HOSTS_TO_APPLY: DEFAULT_HOSTS_TO_APPLY,
+        compile: compile,
+        isValid: isValid,
+        matches: matches
+    };
+})();
@@ -0,0 +1,148 @@
+/**
+ * 600% Sound Volume - Page Hook
+ * Replaces page built-ins that content scripts cannot see from their
+ * isolated world. Runs at document_start, before any page script: in
+ * Chrome as a content script in the page's own world (`world: "MAIN"`),
+ * in Firefox as a normal content script that reaches the page through
+ * wrappedJSObject and hands it our functions with exportFunction.
+ * There it needs js/host-patterns.js and js/settings.js.
+ */
+
+(function () {
+    'use strict';
+
+    if (window.__soundVolume600Hook) {
+        return;
+    }
+    window.__soundVolume600Hook = true;
+
+    // Must match SHADOW_ROOT_EVENT and PAGE_VOLUME_EVENT in scripts.js
+    var SHADOW_ROOT_EVENT = 'sound-volume-600-shadow-root';
+    var PAGE_VOLUME_EVENT = 'sound-volume-600-volume';
+
+    // Only Firefox runs this in a content script sandbox
+    var sandboxed = typeof exportFunction === 'function' && Boolean(window.wrappedJSObject);
+    var page = sandboxed ? window.wrappedJSObject : window;
+
+    function toPage(func) {
+        return sandboxed ? exportFunction(func, window) : func;
+    }
+
+    // Report every new shadow root so the content script can search and
+    // observe it for media elements
+    var __attachShadow = page.Element.prototype.attachShadow;
+    page.Element.prototype.attachShadow = toPage(function () {
+        var root = __attachShadow.apply(this, arguments);
+        this.dispatchEvent(new CustomEvent(SHADOW_ROOT_EVENT, {bubbles: true, composed: true}));
+        return root;
+    });
+
+    // Page Web Audio is only routed where scripts.js does the amplification
+    // (Firefox); Chrome captures the whole tab instead
+    if (!sandboxed) {
+        return;
+    }
+
+    // Cross-origin media is silent through Web Audio unless it is loaded in
+    // CORS mode. That is forced on the sites of the hostsToApply list.
+    var forceCors = false;
+
+    function updateForceCors(hostsToApply) {
+        forceCors = Boolean(window.location.host) && HostPatterns.matches(hostsToApply, window.location.host);
+    }
+
+    Settings.get('hostsToApply', function (result) {
+        updateForceCors(result.hostsToApply);
+    });
+    browser.storage.onChanged.addListener(function (changes, areaName) {
+        if (areaName === 'local' && changes.hostsToApply) {
+            updateForceCors(changes.hostsToApply.newValue || HostPatterns.DEFAULT_HOSTS_TO_APPLY);
+        }
+    });
+
+    // Checked on every call so list edits apply without a reload
+    function wrapPlay(prototype) {
+        var __play = prototype.play;
+        prototype.play = toPage(function () {
+            var src = this.src;
+            if (forceCors && src && this.getAttribute('crossorigin') === null) {
+                this.setAttribute('crossorigin', 'anonymous');
+                if (src.indexOf('https://') === -1 && window.location.href.indexOf('https://') === 0) {
+                    src = src.replace('http://', 'https://');
+                }
+                // Reloads the source in CORS mode
+                if (src.substring(0, 5) !== 'blob:') {
+                    this.src = src + '';
+                }
+            }
+            return __play.apply(this, arguments);
+        });
+    }
+
+    wrapPlay(page.HTMLVideoElement.prototype);
+    wrapPlay(page.HTMLAudioElement.prototype);
+
+    if (typeof page.AudioNode === 'undefined') {
+        return;
+    }
+
+    // Pages that play through their own AudioContext (games, music apps)
+    // get one gain node per context in front of its destination, so they
+    // are boosted and muted like media elements
+    var gainValue = 1;
+    var contextGains = [];
+    var __connect = page.AudioNode.prototype.connect;
+    var __disconnect = page.AudioNode.prototype.disconnect;
+
+    function getContextGain(context) {
+        for (var i = 0; i < contextGains.length; i++) {
+            if (contextGains[i].context === context) {
+                return contextGains[i].gain;
+            }
+        }
+        var gain = context.createGain();
+        gain.gain.value = gainValue;
+        __connect.call(gain, context.destination);
+        contextGains.push({context: context, gain: gain});
+        return gain;
+    }
+
+    // Offline rendering never reaches the speakers and is left alone
+    function isBoostedDestination(node) {
+        return node instanceof AudioDestinationNode
+            && !(typeof OfflineAudioContext !== 'undefined' && node.context instanceof OfflineAudioContext);
+    }
+
+    page.AudioNode.prototype.connect = toPage(function (destination) {
+        if (isBoostedDestination(destination)) {
+            var args = Array.prototype.slice.call(arguments);
+            args[0] = getContextGain(destination.context);
+            __connect.apply(this, args);
+            // connect() returns its destination for chaining
+            return destination;
+        }
+        return __connect.apply(this, arguments);
+    });
+
+    page.AudioNode.prototype.disconnect = toPage(function (destination) {
+        var args = Array.prototype.slice.call(arguments);
+        if (isBoostedDestination(destination)) {
+            args[0] = getContextGain(destination.context);
+        }
+        return __disconnect.apply(this, args);
+    });
+
+    document.addEventListener(PAGE_VOLUME_EVENT, function (event) {
+        var volume = Number(event.detail);
+        if (isNaN(volume)) {
+            return;
+        }
+        gainValue = Math.max(0, Math.min(6, volume / 100));
+        contextGains = contextGains.filter(function (entry) {
+            return entry.context.state !== 'closed';
+        });
+        contextGains.forEach(function (entry) {
+            entry.gain.gain.setValueAtTime(gainValue, entry.context.currentTime);
+        });
+    });
+})();
@@ -10,8 +10,34 @@
     // State Management
     // ============================================================
     
+    // Local copy of the tab's volume, owned by the background script
     let currentVolume = 100;
     
+    // Hostname of the tab's top-level page, reported by the background script
+    let siteHost = location.hostname;
+    
+    // Limiter stage settings, shared by every tab (persisted as `limiter`)
+    let limiterSettings = AudioGraph.DEFAULT_LIMITER;
+    
+    // Equalizer settings for this site (`siteEq` entry, else global `eq`)
+    let eqSettings = AudioGraph.DEFAULT_EQ;
+    
+    // Balance, mono downmix and channel swap (persisted as `stereo`)
+    let stereoSettings = AudioGraph.DEFAULT_STEREO;
+    
+    // Loudness normalization (persisted as `autoLevel`) and its update timer
+    let autoLevelSettings = AudioGraph.DEFAULT_AUTO_LEVEL;
+    let autoLevelTimer = null;
+    
+    // Open level meter ports (the background relays them to the popup)
+    const meterPorts = new Set();
+    
+    // Clip watch for the red badge (persisted as `clipBadge`), its timer
+    // and when clipping was last reported
+    let clipBadge = false;
+    let clipTimer = null;
+    let lastClipReport = 0;
+    
     // Single shared AudioContext for all media elements (browser limit is typically 6)
     let sharedAudioContext = null;
     
@@ -20,17 +46,90 @@
     
     // Set to track elements we've already added event listeners to
     const processedElements = new WeakSet();
+    
+    // Per-element volume set from the popup, as a percentage of the tab's
+    // volume; ids the popup knows the elements by; cached thumbnails
+    const elementVolumes = new WeakMap();
+    const elementIds = new WeakMap();
+    const elementThumbnails = new WeakMap();
+    let lastElementId = 0;
+    
+    // Shadow roots found so far; media inside them is invisible to
+    // document.querySelectorAll
+    const shadowRoots = new Set();
+    
+    // Site exclusion list (persisted as `ignoredHosts`, see host-patterns.js)
+    let ignoredHosts = HostPatterns.DEFAULT_IGNORED_HOSTS;
+    
+    // Modifier + wheel volume control (persisted as `wheelControl`), the
+    // popup slider maximum it stops at, and the scroll distance not yet
+    // turned into a volume step
+    let wheelSettings = Settings.getDefault('wheelControl');
+    let wheelMaxVolume = Settings.getDefault('sliderMax');
+    let wheelDelta = 0;
+    
+    // Volume overlay over the playing media (persisted as `osd`), its
+    // host element and label, and the timer that hides it
+    let osdSettings = Settings.getDefault('osd');
+    let osd = null;
+    let osdTimer = null;
+    
+    // Observer for added media elements (document and shadow roots)
+    let mediaObserver = null;
+    
+    // Elements and media origins found to be CORS-tainted; they play
+    // natively instead of through the Web Audio graph
+    const degradedElements = new WeakSet();
+    const degradedOrigins = new Set();
 
     // ============================================================
     // Configuration
     // ============================================================
     
-    // Hosts where we should not modify media sources
-    const IGNORED_HOSTS = [
-        'cdn.videofarm.daum.net',
-        'computerbase.de',
-        'production.assets.clips.twitchcdn.net'
-    ];
+    // Taint detection: how often a cross-origin source is sampled and
+    // how long it may stay digitally silent while playing (ms)
+    const TAINT_CHECK_INTERVAL = 250;
+    const TAINT_SILENCE_LIMIT = 4000;
+    
+    // Dispatched on a host element by js/page-hook.js after attachShadow
+    const SHADOW_ROOT_EVENT = 'sound-volume-600-shadow-root';
+    
+    // Dispatched by us to set the gain js/page-hook.js puts in front of
+    // the page's own AudioContext destinations
+    const PAGE_VOLUME_EVENT = 'sound-volume-600-volume';
+    
+    // Wheel scroll distance (pixels) of one volume step, and the pixel
+    // size of the line and page units some mice report in
+    const WHEEL_NOTCH = 100;
+    const WHEEL_LINE = 40;
+    const WHEEL_PAGE = 800;
+    
+    // Every frame of a tab answers on the same media port, so element
+    // ids are prefixed with one that is unique to this frame
+    const FRAME_ID = Math.random().toString(36).slice(2);
+    
+    // How often the media list is sent to the popup, and how old a
+    // video thumbnail may get (ms)
+    const MEDIA_LIST_INTERVAL = 500;
+    const THUMBNAIL_MAX_AGE = 5000;
+    const THUMBNAIL_WIDTH = 96;
+    
+    // Custom tag of the overlay host, so page rules for div and the
+    // like do not match it
+    const OSD_TAG = 'sound-volume-600-osd';
+    
+    // Distance of the overlay from the edges of the media (px)
+    const OSD_MARGIN = 16;
+    
+    // Where each `osd.position` puts the overlay, as fractions of the
+    // media's width and height
+    const OSD_PLACEMENTS = {
+        'top-left': { x: 0, y: 0 },
+        'top-right': { x: 1, y: 0 },
+        'bottom-left': { x: 0, y: 1 },
+        'bottom-right': { x: 1, y: 1 },
+        'center': { x: 0.5, y: 0.5 }
+    };
 
     // ============================================================
     // Browser API Helper
@@ -41,68 +140,132 @@
     }
 
     // ============================================================
-    // Method 1: loadSavedVolume (Completely Rewritten)
-    // Loads the saved volume from storage on script initialization
+    // Method 1: sendToBackground (Completely Rewritten)
+    // Sends messages to the background script
+    // ============================================================
+    
+    function sendToBackground(action, data) {
+        return new Promise((resolve) => {
+            try {
+                getBrowser().runtime.sendMessage(
+                    { action: action, data: data },
+                    (response) => {
+                        // Access lastError to suppress "Unchecked runtime.lastError" warnings
+                        // This is the standard pattern for handling potential disconnected ports
+                        var lastError = getBrowser().runtime.lastError;
+                        if (lastError) {
+                            // Ignore - connection may have been closed
+                        }
+                        resolve(response);
+                    }
+                );
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    }
+
+    // ============================================================
+    // Method 2: loadTabVolume
+    // Asks the background script for this tab's volume on initialization.
+    // The background owns the per-tab level, so every frame of the tab
+    // (and every page loaded into it) starts from the same value.
     // ============================================================
     
-    function loadSavedVolume() {
+    function loadTabVolume() {
+        return sendToBackground('getTabVolume').then((response) => {
+            const vol = response ? Number(response.soundVolume) : NaN;
+            currentVolume = isNaN(vol) ? 100 : vol;
+            if (response && response.siteHost) {
+                siteHost = response.siteHost;
+            }
+            return currentVolume;
+        });
+    }
+
+    // ============================================================
+    // Method 3: loadProcessingSettings
+    // Loads the auto level, stereo, limiter and equalizer settings from
+    // storage. Needs siteHost, so it runs after loadTabVolume.
+    // ============================================================
+    
+    function loadProcessingSettings() {
         return new Promise((resolve) => {
             try {
-                getBrowser().storage.local.get({ savedVolume: 100 }, (result) => {
-                    if (getBrowser().runtime.lastError) {
-                        currentVolume = 100;
-                        resolve(100);
-                        return;
+                Settings.get(['limiter', 'eq', 'siteEq', 'stereo', 'autoLevel', 'clipBadge'], (result) => {
+                    if (!getBrowser().runtime.lastError) {
+                        clipBadge = result.clipBadge;
+                        autoLevelSettings = Object.assign({}, AudioGraph.DEFAULT_AUTO_LEVEL, result.autoLevel);
+                        stereoSettings = Object.assign({}, AudioGraph.DEFAULT_STEREO, result.stereo);
+                        limiterSettings = Object.assign({}, AudioGraph.DEFAULT_LIMITER, result.limiter);
+                        eqSettings = AudioGraph.resolveEq(result, siteHost);
                     }
-                    const vol = Number(result.savedVolume);
-                    currentVolume = isNaN(vol) ? 100 : vol;
-                    resolve(currentVolume);
+                    resolve();
                 });
             } catch (e) {
-                currentVolume = 100;
-                resolve(100);
+                resolve();
             }
         });
     }
 
     // ============================================================
-    // Method 2: saveVolume (Completely Rewritten)
-    // Saves the current volume to storage
+    // Method 4: loadSiteLists
+    // Loads the user-editable site exclusion list from storage
     // ============================================================
     
-    function saveVolume(volume) {
-        try {
-            const vol = Number(volume);
-            if (!isNaN(vol) && vol >= 0 && vol <= 600) {
-                getBrowser().storage.local.set({ savedVolume: vol });
+    function loadSiteLists() {
+        return new Promise((resolve) => {
+            try {
+                Settings.get('ignoredHosts', (result) => {
+                    if (!getBrowser().runtime.lastError && Array.isArray(result.ignoredHosts)) {
+                        ignoredHosts = result.ignoredHosts;
+                    }
+                    resolve(ignoredHosts);
+                });
+            } catch (e) {
+                resolve(ignoredHosts);
             }
-        } catch (e) {
-            // Silently fail if storage is not available
-        }
+        });
     }
 
     // ============================================================
-    // Method 3: sendToBackground (Completely Rewritten)
-    // Sends messages to the background script
+    // Method 5: loadWheelSettings
+    // Loads the modifier + wheel volume control settings from storage
     // ============================================================
     
-    function sendToBackground(action) {
+    function loadWheelSettings() {
         return new Promise((resolve) => {
             try {
-                getBrowser().runtime.sendMessage(
-                    { action: action, data: { soundVolume: currentVolume } },
-                    (response) => {
-                        // Access lastError to suppress "Unchecked runtime.lastError" warnings
-                        // This is the standard pattern for handling potential disconnected ports
-                        var lastError = getBrowser().runtime.lastError;
-                        if (lastError) {
-                            // Ignore - connection may have been closed
-                        }
-                        resolve(response);
+                Settings.get(['wheelControl', 'sliderMax'], (result) => {
+                    if (!getBrowser().runtime.lastError) {
+                        wheelSettings = result.wheelControl;
+                        wheelMaxVolume = result.sliderMax;
                     }
-                );
+                    updateWheelListener();
+                    resolve();
+                });
             } catch (e) {
-                resolve(null);
+                resolve();
+            }
+        });
+    }
+
+    // ============================================================
+    // Method 6: loadOsdSettings
+    // Loads the on-screen display settings from storage
+    // ============================================================
+    
+    function loadOsdSettings() {
+        return new Promise((resolve) => {
+            try {
+                Settings.get('osd', (result) => {
+                    if (!getBrowser().runtime.lastError) {
+                        osdSettings = result.osd;
+                    }
+                    resolve();
+                });
+            } catch (e) {
+                resolve();
             }
         });
     }
@@ -113,11 +276,24 @@
     
     function isIgnoredHost(url) {
         if (!url) return false;
-        return IGNORED_HOSTS.some((host) => url.includes(host));
+        return HostPatterns.matches(ignoredHosts, url);
+    }
+    
+    // The page itself (or the tab's top-level site) is on the exclusion list
+    function isExcludedSite() {
+        return isIgnoredHost(location.href) || isIgnoredHost(siteHost);
     }
 
     function getMediaElements() {
-        return Array.from(document.querySelectorAll('video, audio'));
+        const elements = Array.from(document.querySelectorAll('video, audio'));
+        shadowRoots.forEach((root) => {
+            if (!root.host.isConnected) {
+                shadowRoots.delete(root);
+                return;
+            }
+            elements.push.apply(elements, root.querySelectorAll('video, audio'));
+        });
+        return elements;
     }
 
     // ============================================================
@@ -143,16 +319,183 @@
         return sharedAudioContext;
     }
     
+    // ============================================================
+    // MediaStream Support
+    // Calls play remote participants through srcObject streams. Those
+    // are tapped with createMediaStreamSource while the element itself
+    // is silenced, so only the boosted copy is heard.
+    // ============================================================
+    
+    function getMediaStream(mediaElement) {
+        if (isExcludedSite()) {
+            return null;
+        }
+        const srcObject = mediaElement.srcObject;
+        return typeof MediaStream !== 'undefined' && srcObject instanceof MediaStream ? srcObject : null;
+    }
+    
+    function hasBoostableSource(mediaElement) {
+        if (getMediaStream(mediaElement)) {
+            return true;
+        }
+        const src = mediaElement.src || mediaElement.currentSrc;
+        return Boolean(src) && !isIgnoredHost(src) && !isExcludedSite();
+    }
+    
+    function silenceStreamElement(mediaElement, contextData) {
+        // The page reads and writes its own volume through an accessor only
+        // it can see, which still scales our copy. Our writes go through the
+        // content script's view to the real property, so a page that sets 0
+        // is not mistaken for our silencing.
+        contextData.pageVolume = mediaElement.volume;
+        Object.defineProperty(mediaElement.wrappedJSObject, 'volume', {
+            configurable: true,
+            enumerable: true,
+            get: exportFunction(() => contextData.pageVolume, window),
+            set: exportFunction((value) => {
+                value = Number(value);
+                if (value >= 0 && value <= 1 && value !== contextData.pageVolume) {
+                    contextData.pageVolume = value;
+                    mediaElement.dispatchEvent(new Event('volumechange'));
+                }
+            }, window)
+        });
+        mediaElement.volume = 0;
+        // Page volume and mute changes both arrive as volumechange
+        mediaElement.addEventListener('volumechange', () => {
+            applyVolumeToElement(mediaElement, currentVolume);
+        });
+    }
+    
+    function replaceStreamSource(contextData, stream) {
+        try {
+            const source = contextData.chain.context.createMediaStreamSource(stream);
+            AudioGraph.setSource(contextData.chain, source);
+            contextData.source = source;
+            contextData.stream = stream;
+        } catch (e) {
+            // Keep the previous source; the new stream may not have audio yet
+        }
+        return contextData;
+    }
+
+    // ============================================================
+    // CORS Taint Detection
+    // Firefox feeds silence into the graph for cross-origin media served
+    // without CORS headers. Such elements are watched while playing; if
+    // their source stays digitally silent they are rebuilt without the
+    // graph and play natively, capped at 100%.
+    // ============================================================
+    
+    function getMediaOrigin(mediaElement) {
+        try {
+            return new URL(mediaElement.currentSrc || mediaElement.src, location.href).origin;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // Only cross-origin media fetched without CORS can be tainted
+    function mayBeTainted(mediaElement) {
+        const origin = getMediaOrigin(mediaElement);
+        return Boolean(origin) && origin !== 'null' && origin !== location.origin && !mediaElement.crossOrigin;
+    }
+    
+    function isDegraded(mediaElement) {
+        return degradedElements.has(mediaElement)
+            || (mayBeTainted(mediaElement) && degradedOrigins.has(getMediaOrigin(mediaElement)));
+    }
+    
+    function applyNativeVolume(mediaElement, volume) {
+        mediaElement.volume = Math.min(volume, 100) / 100;
+    }
+    
+    function watchForTaint(mediaElement, contextData) {
+        let silentTime = 0;
+        let lastTime = mediaElement.currentTime;
+        AudioGraph.setProbe(contextData.chain, true);
+        
+        const timer = setInterval(() => {
+            if (!mediaElement.isConnected) {
+                stop();
+                return;
+            }
+            // Only judge while the element is actually playing and audible
+            const advancing = !mediaElement.paused && mediaElement.currentTime !== lastTime;
+            lastTime = mediaElement.currentTime;
+            if (!advancing || mediaElement.muted || mediaElement.volume === 0) {
+                return;
+            }
+            if (AudioGraph.readSourcePeak(contextData.chain) > 0) {
+                stop();
+                return;
+            }
+            silentTime += TAINT_CHECK_INTERVAL;
+            if (silentTime >= TAINT_SILENCE_LIMIT) {
+                stop();
+                recoverTaintedElement(mediaElement);
+            }
+        }, TAINT_CHECK_INTERVAL);
+        
+        function stop() {
+            clearInterval(timer);
+            AudioGraph.setProbe(contextData.chain, false);
+        }
+    }
+    
+    // A media element cannot be detached from its source node, so it is
+    // replaced by a fresh copy that never enters the graph
+    function recoverTaintedElement(mediaElement) {
+        const origin = getMediaOrigin(mediaElement);
+        const clone = mediaElement.cloneNode(true);
+        const wasPlaying = !mediaElement.paused;
+        const currentTime = mediaElement.currentTime;
+        
+        degradedOrigins.add(origin);
+        degradedElements.add(clone);
+        if (elementVolumes.has(mediaElement)) {
+            elementVolumes.set(clone, elementVolumes.get(mediaElement));
+        }
+        clone.muted = mediaElement.muted;
+        clone.playbackRate = mediaElement.playbackRate;
+        clone.addEventListener('loadedmetadata', () => {
+            clone.currentTime = currentTime;
+        }, { once: true });
+        applyNativeVolume(clone, getEffectiveVolume(clone, currentVolume));
+        
+        mediaElement.pause();
+        mediaElement.replaceWith(clone);
+        processMediaElement(clone);
+        if (wasPlaying) {
+            clone.play().catch(() => {
+                // Autoplay may be blocked; the page's controls still work
+            });
+        }
+        
+        sendToBackground('reportDegraded', { origin: origin });
+    }
+
     function setupAudioContext(mediaElement) {
+        const stream = getMediaStream(mediaElement);
+        
         // Skip if already set up or if setup previously failed
         if (elementGainNodes.has(mediaElement)) {
-            return elementGainNodes.get(mediaElement);
+            const existing = elementGainNodes.get(mediaElement);
+            // Follow srcObject when the page swaps in a new stream
+            if (existing.stream && stream && existing.stream !== stream) {
+                return replaceStreamSource(existing, stream);
+            }
+            return existing;
         }
-
-        const src = mediaElement.src || mediaElement.currentSrc;
         
-        // Skip elements with no source or ignored hosts
-        if (!src || isIgnoredHost(src)) {
+        // Skip elements with no source, ignored hosts or known tainted media
+        if (!hasBoostableSource(mediaElement) || isDegraded(mediaElement)) {
+            return null;
+        }
+        
+        // A stream without audio tracks cannot feed a source node yet;
+        // try again on the next play or volume change
+        if (stream && stream.getAudioTracks().length === 0) {
             return null;
         }
 
@@ -163,19 +506,33 @@
                 return null;
             }
             
-            const gainNode = audioContext.createGain();
-            const source = audioContext.createMediaElementSource(mediaElement);
+            const source = stream
+                ? audioContext.createMediaStreamSource(stream)
+                : audioContext.createMediaElementSource(mediaElement);
             
-            source.connect(gainNode);
-            gainNode.connect(audioContext.destination);
+            // source -> gain -> limiter -> destination (see audio-graph.js)
+            const chain = AudioGraph.createChain(audioContext, source);
+            AudioGraph.applyAutoLevel(chain, autoLevelSettings);
+            AudioGraph.applyStereo(chain, stereoSettings);
+            AudioGraph.applyLimiter(chain, limiterSettings);
+            AudioGraph.applyEq(chain, eqSettings);
+            AudioGraph.setMetering(chain, isMetering());
             
             const contextData = {
-                gain: gainNode,
+                chain: chain,
+                gain: chain.gain,
                 source: source,
+                stream: stream,
+                pageVolume: 1,
                 failed: false
             };
             
             elementGainNodes.set(mediaElement, contextData);
+            if (stream) {
+                silenceStreamElement(mediaElement, contextData);
+            } else if (mayBeTainted(mediaElement)) {
+                watchForTaint(mediaElement, contextData);
+            }
             return contextData;
         } catch (e) {
             // Mark as failed so we don't retry
@@ -185,26 +542,70 @@
     }
 
     function applyVolumeToElement(mediaElement, volume) {
+        // Elements set up before their site was excluded pass through at 100%
+        if (isExcludedSite()) {
+            const existing = elementGainNodes.get(mediaElement);
+            if (existing && !existing.failed) {
+                AudioGraph.setGain(existing.chain, 100);
+            }
+            return false;
+        }
+        
+        volume = getEffectiveVolume(mediaElement, volume);
+        if (isDegraded(mediaElement)) {
+            applyNativeVolume(mediaElement, volume);
+            return true;
+        }
+        
         const contextData = setupAudioContext(mediaElement);
         
         if (!contextData || contextData.failed) {
             return false;
         }
 
-        const gainValue = volume / 100;
-        const currentGainValue = contextData.gain.gain.value;
-        
-        if (currentGainValue !== gainValue) {
-            // Use setValueAtTime for smooth audio transition (avoids clicks/pops)
-            const audioContext = getSharedAudioContext();
-            if (audioContext) {
-                contextData.gain.gain.setValueAtTime(gainValue, audioContext.currentTime);
-            } else {
-                // Fallback to direct assignment if context unavailable
-                contextData.gain.gain.value = gainValue;
+        // Stream elements are silenced, so their page volume and mute state
+        // are applied to our copy instead
+        const pageScale = contextData.stream ? (mediaElement.muted ? 0 : contextData.pageVolume) : 1;
+        AudioGraph.setGain(contextData.chain, volume * pageScale);
+        return true;
+    }
+
+    function applyProcessingToElements() {
+        getMediaElements().forEach((element) => {
+            const contextData = elementGainNodes.get(element);
+            if (contextData && !contextData.failed) {
+                AudioGraph.applyAutoLevel(contextData.chain, autoLevelSettings);
+                AudioGraph.applyStereo(contextData.chain, stereoSettings);
+                AudioGraph.applyLimiter(contextData.chain, limiterSettings);
+                AudioGraph.applyEq(contextData.chain, eqSettings);
             }
+        });
+        updateAutoLevelTimer();
+        updateClipTimer();
+    }
+
+    // ============================================================
+    // Auto Level
+    // One timer drives loudness normalization for every playing element
+    // ============================================================
+    
+    function autoLevelTick() {
+        getMediaElements().forEach((element) => {
+            const contextData = elementGainNodes.get(element);
+            if (contextData && !contextData.failed && !element.paused) {
+                AudioGraph.updateAutoLevel(contextData.chain);
+            }
+        });
+    }
+    
+    function updateAutoLevelTimer() {
+        const enabled = Boolean(autoLevelSettings.enabled) && typeof browser !== 'undefined';
+        if (enabled && !autoLevelTimer) {
+            autoLevelTimer = setInterval(autoLevelTick, AudioGraph.AUTO_LEVEL_INTERVAL);
+        } else if (!enabled && autoLevelTimer) {
+            clearInterval(autoLevelTimer);
+            autoLevelTimer = null;
         }
-        return true;
     }
 
     // ============================================================
@@ -237,20 +638,207 @@
     }
 
     // ============================================================
-    // Main Method: changeSoundVolume (Completely Rewritten)
-    // Applies the current volume to all media elements
+    // Level Meter
+    // Streams the loudest output level of the page's media elements
+    // over a long-lived port while the popup shows the meter, and
+    // watches for clipping on its own for the badge
     // ============================================================
     
-    function changeSoundVolume() {
-        // Save volume for persistence
-        saveVolume(currentVolume);
+    function isMetering() {
+        return meterPorts.size > 0 || clipTimer !== null;
+    }
+    
+    function setMeteringOnElements(enabled) {
+        getMediaElements().forEach((element) => {
+            const contextData = elementGainNodes.get(element);
+            if (contextData && !contextData.failed) {
+                AudioGraph.setMetering(contextData.chain, enabled);
+            }
+        });
+    }
+    
+    function readPageLevels() {
+        const levels = { peak: 0, rms: 0 };
+        getMediaElements().forEach((element) => {
+            const contextData = elementGainNodes.get(element);
+            if (contextData && !contextData.failed && !element.paused) {
+                const elementLevels = AudioGraph.readLevels(contextData.chain);
+                levels.peak = Math.max(levels.peak, elementLevels.peak);
+                levels.rms = Math.max(levels.rms, elementLevels.rms);
+            }
+        });
+        return levels;
+    }
+    
+    function clipTick() {
+        const now = Date.now();
+        if (now - lastClipReport >= AudioGraph.CLIP_REPORT_INTERVAL && readPageLevels().peak >= 1) {
+            lastClipReport = now;
+            sendToBackground('reportClipped');
+        }
+    }
+    
+    function updateClipTimer() {
+        const enabled = Boolean(clipBadge) && typeof browser !== 'undefined';
+        if (enabled && !clipTimer) {
+            clipTimer = setInterval(clipTick, AudioGraph.METER_INTERVAL);
+        } else if (!enabled && clipTimer) {
+            clearInterval(clipTimer);
+            clipTimer = null;
+        }
+        setMeteringOnElements(isMetering());
+    }
+    
+    function handleMeterPort(port) {
+        meterPorts.add(port);
+        setMeteringOnElements(true);
+        
+        const timer = setInterval(() => {
+            port.postMessage(readPageLevels());
+        }, AudioGraph.METER_INTERVAL);
+        
+        port.onDisconnect.addListener(() => {
+            clearInterval(timer);
+            meterPorts.delete(port);
+            setMeteringOnElements(isMetering());
+        });
+    }
+
+    // ============================================================
+    // Per-element Volume
+    // The popup lists the page's media elements over a long-lived port
+    // and can give each one its own volume, a percentage of the tab's.
+    // Chrome boosts the captured tab as a whole, so there an element can
+    // only be turned down (through its native volume).
+    // ============================================================
+    
+    function getElementId(element) {
+        if (!elementIds.has(element)) {
+            elementIds.set(element, FRAME_ID + ':' + (++lastElementId));
+        }
+        return elementIds.get(element);
+    }
+    
+    function getElementVolume(element) {
+        return elementVolumes.has(element) ? elementVolumes.get(element) : 100;
+    }
+    
+    function getEffectiveVolume(element, volume) {
+        return Math.min(600, Math.round(volume * getElementVolume(element) / 100));
+    }
+    
+    function canBoostElement(element) {
+        const contextData = elementGainNodes.get(element);
+        return typeof browser !== 'undefined' && !isDegraded(element) && !(contextData && contextData.failed);
+    }
+    
+    // The element's label, else its file name, else the page title
+    function getElementTitle(element) {
+        const label = element.getAttribute('aria-label') || element.title;
+        if (label) {
+            return label;
+        }
+        try {
+            const url = new URL(element.currentSrc || element.src, location.href);
+            const name = decodeURIComponent(url.pathname.split('/').pop());
+            if (name && url.protocol !== 'blob:') {
+                return name;
+            }
+        } catch (e) {
+            // No usable source URL
+        }
+        return document.title;
+    }
+    
+    // A small still of the current frame, else the poster
+    function getElementThumbnail(element) {
+        if (!(element instanceof HTMLVideoElement)) {
+            return null;
+        }
+        const cached = elementThumbnails.get(element);
+        if (cached && Date.now() - cached.time < THUMBNAIL_MAX_AGE) {
+            return cached.url;
+        }
+        let url = element.poster || null;
+        if (element.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA && element.videoWidth > 0) {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = THUMBNAIL_WIDTH;
+                canvas.height = Math.round(THUMBNAIL_WIDTH * element.videoHeight / element.videoWidth);
+                canvas.getContext('2d').drawImage(element, 0, 0, canvas.width, canvas.height);
+                url = canvas.toDataURL('image/jpeg', 0.7);
+            } catch (e) {
+                // Cross-origin video cannot be read back
+            }
+        }
+        elementThumbnails.set(element, { time: Date.now(), url: url });
+        return url;
+    }
+    
+    function listMediaElements() {
+        if (isExcludedSite()) {
+            return [];
+        }
+        return getMediaElements()
+            .filter((element) => processedElements.has(element) && (element.currentSrc || element.srcObject))
+            .map((element) => ({
+                id: getElementId(element),
+                kind: element.tagName.toLowerCase(),
+                title: getElementTitle(element),
+                thumbnail: getElementThumbnail(element),
+                currentTime: element.currentTime,
+                duration: isFinite(element.duration) ? element.duration : null,
+                paused: element.paused,
+                volume: getElementVolume(element),
+                boostable: canBoostElement(element)
+            }));
+    }
+    
+    function setElementVolume(id, volume) {
+        const element = getMediaElements().find((mediaElement) => elementIds.get(mediaElement) === id);
+        if (!element || isNaN(volume) || volume < 0 || volume > 600) {
+            return;
+        }
+        const boostable = canBoostElement(element);
+        elementVolumes.set(element, boostable ? volume : Math.min(volume, 100));
+        if (!boostable) {
+            applyNativeVolume(element, getElementVolume(element));
+        } else if (!applyVolumeToElement(element, currentVolume)) {
+            applyNativeVolume(element, getEffectiveVolume(element, currentVolume));
+        }
+    }
+    
+    function handleMediaPort(port) {
+        const post = () => port.postMessage({ frame: FRAME_ID, elements: listMediaElements() });
+        const timer = setInterval(post, MEDIA_LIST_INTERVAL);
+        post();
         
-        // Notify background script (for Chrome tab capture fallback)
-        // Fire-and-forget - we don't need to wait for the result
-        sendToBackground('changeSoundVolume').catch(function() {
-            // Silently ignore errors - background communication is best-effort
+        port.onMessage.addListener((message) => {
+            if (message.action === 'setElementVolume') {
+                setElementVolume(message.id, Number(message.volume));
+                post();
+            }
+        });
+        port.onDisconnect.addListener(() => {
+            clearInterval(timer);
         });
+    }
+    
+    // Long-lived ports opened by the background (meter) and the popup (media)
+    function handleConnect(port) {
+        if (port.name === 'meter') {
+            handleMeterPort(port);
+        } else if (port.name === 'media') {
+            handleMediaPort(port);
+        }
+    }
 
+    // ============================================================
+    // Main Method: changeSoundVolume (Completely Rewritten)
+    // Applies the current volume to all media elements
+    // ============================================================
+    
+    function changeSoundVolume() {
         // In Chrome (browser API undefined), the background script handles volume
         // via tab capture API, so we skip the Web Audio API approach here.
         // In Firefox, we use Web Audio API directly on media elements.
@@ -258,23 +846,208 @@
             return;
         }
 
+        // Page-created Web Audio graphs are boosted by js/page-hook.js
+        notifyPageVolume();
+
         // Apply volume to all media elements
         const mediaElements = getMediaElements();
         mediaElements.forEach((element) => {
             processMediaElement(element);
-            const src = element.src || element.currentSrc;
-            if (src && !isIgnoredHost(src)) {
+            if (hasBoostableSource(element)) {
                 applyVolumeToElement(element, currentVolume);
             }
         });
     }
 
+    // ============================================================
+    // Wheel Volume Control
+    // Holding the modifier and scrolling over a video changes the tab's
+    // volume. Without the modifier the event is left alone, so the
+    // page's own scroll and seek handlers keep working.
+    // ============================================================
+    
+    function isWheelModifierHeld(event) {
+        return Boolean(event[wheelSettings.modifier + 'Key']);
+    }
+    
+    function containsPoint(rect, x, y) {
+        return rect.width > 0 && rect.height > 0
+            && x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    }
+    
+    // Player controls usually cover the video, so besides the event path
+    // every known video (shadow roots included) is hit-tested
+    function findVideoAt(event) {
+        const path = event.composedPath();
+        for (let i = 0; i < path.length; i++) {
+            if (path[i] instanceof HTMLVideoElement) {
+                return path[i];
+            }
+        }
+        return getMediaElements().find((element) => element instanceof HTMLVideoElement
+            && containsPoint(element.getBoundingClientRect(), event.clientX, event.clientY)) || null;
+    }
+    
+    function getWheelPixels(event) {
+        if (event.deltaMode === WheelEvent.DOM_DELTA_LINE) {
+            return event.deltaY * WHEEL_LINE;
+        }
+        if (event.deltaMode === WheelEvent.DOM_DELTA_PAGE) {
+            return event.deltaY * WHEEL_PAGE;
+        }
+        return event.deltaY;
+    }
+    
+    function onWheel(event) {
+        if (!isWheelModifierHeld(event) || isExcludedSite()) {
+            return;
+        }
+        const video = findVideoAt(event);
+        if (!video) {
+            return;
+        }
+        // Also keeps Alt/Shift + wheel from navigating or scrolling sideways
+        event.preventDefault();
+        event.stopPropagation();
+        
+        wheelDelta += getWheelPixels(event);
+        const steps = Math.trunc(wheelDelta / WHEEL_NOTCH);
+        if (steps === 0) {
+            return;
+        }
+        wheelDelta -= steps * WHEEL_NOTCH;
+        
+        // Scrolling up (negative delta) raises the volume; a level set
+        // above the slider maximum elsewhere is never lowered by scrolling up
+        let volume = currentVolume - steps * wheelSettings.step;
+        volume = steps < 0
+            ? Math.max(currentVolume, Math.min(wheelMaxVolume, volume))
+            : Math.max(0, volume);
+        
+        if (volume !== currentVolume) {
+            currentVolume = volume;
+            sendToBackground('setTabVolume', { soundVolume: volume });
+        }
+        showOsd(currentVolume, video);
+    }
+    
+    // The listener has to be non-passive to stop the page from
+    // scrolling, so it is only installed while the feature is on
+    function updateWheelListener() {
+        window.removeEventListener('wheel', onWheel, { capture: true });
+        if (wheelSettings.enabled) {
+            window.addEventListener('wheel', onWheel, { capture: true, passive: false });
+        }
+    }
+
+    // ============================================================
+    // On-screen Display
+    // Shows the new volume over the playing media. It is drawn in a
+    // closed shadow root so page styles cannot reach it, and styled
+    // through CSSOM, which page CSP does not block.
+    // ============================================================
+    
+    function createOsd() {
+        const host = document.createElement(OSD_TAG);
+        host.style.cssText = [
+            'all: initial', 'position: fixed', 'z-index: 2147483647',
+            'margin: 0', 'padding: 0', 'border: 0', 'inset: auto',
+            'background: transparent', 'overflow: visible', 'pointer-events: none'
+        ].join('; ');
+        // A popover is drawn in the top layer, above a fullscreen video
+        if ('popover' in host) {
+            host.popover = 'manual';
+        }
+        
+        const label = document.createElement('div');
+        label.style.cssText = [
+            'display: block', 'padding: 8px 16px', 'border-radius: 8px',
+            'font: bold 20px/1.2 system-ui, sans-serif', 'font-variant-numeric: tabular-nums',
+            'white-space: nowrap', 'color: #ffffff', 'background: rgba(0, 0, 0, 0.75)'
+        ].join('; ');
+        host.attachShadow({ mode: 'closed' }).appendChild(label);
+        
+        return { host: host, label: label };
+    }
+    
+    // The largest visible playing video, else any playing media
+    function findPlayingMedia() {
+        const playing = getMediaElements().filter((element) => !element.paused && !element.ended);
+        let largest = null;
+        let largestArea = 0;
+        playing.forEach((element) => {
+            if (element instanceof HTMLVideoElement) {
+                const rect = element.getBoundingClientRect();
+                if (rect.width * rect.height > largestArea) {
+                    largest = element;
+                    largestArea = rect.width * rect.height;
+                }
+            }
+        });
+        return largest || playing[0] || null;
+    }
+    
+    // The visible part of the video, or the whole viewport for audio
+    function getOsdArea(media) {
+        const viewport = { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+        if (!(media instanceof HTMLVideoElement)) {
+            return viewport;
+        }
+        const rect = media.getBoundingClientRect();
+        const area = {
+            left: Math.max(viewport.left, rect.left),
+            top: Math.max(viewport.top, rect.top),
+            right: Math.min(viewport.right, rect.right),
+            bottom: Math.min(viewport.bottom, rect.bottom)
+        };
+        return area.right > area.left && area.bottom > area.top ? area : viewport;
+    }
+    
+    function hideOsd() {
+        if (osd.host.hidePopover && osd.host.matches(':popover-open')) {
+            osd.host.hidePopover();
+        }
+        osd.host.remove();
+    }
+    
+    function showOsd(volume, media) {
+        if (!osdSettings.enabled || !media) {
+            return;
+        }
+        if (!osd) {
+            osd = createOsd();
+        }
+        
+        // Nothing outside the fullscreen element is rendered
+        const fullscreen = document.fullscreenElement;
+        const parent = fullscreen && !(fullscreen instanceof HTMLMediaElement) ? fullscreen : document.documentElement;
+        if (osd.host.parentNode !== parent) {
+            parent.appendChild(osd.host);
+        }
+        
+        const area = getOsdArea(media);
+        const placement = OSD_PLACEMENTS[osdSettings.position];
+        const left = area.left + (area.right - area.left) * placement.x + OSD_MARGIN * (1 - 2 * placement.x);
+        const top = area.top + (area.bottom - area.top) * placement.y + OSD_MARGIN * (1 - 2 * placement.y);
+        osd.host.style.left = left + 'px';
+        osd.host.style.top = top + 'px';
+        osd.host.style.transform = 'translate(' + (-100 * placement.x) + '%, ' + (-100 * placement.y) + '%)';
+        osd.label.style.opacity = String(osdSettings.opacity / 100);
+        osd.label.textContent = volume + '%';
+        
+        if (osd.host.showPopover && !osd.host.matches(':popover-open')) {
+            osd.host.showPopover();
+        }
+        clearTimeout(osdTimer);
+        osdTimer = setTimeout(hideOsd, osdSettings.duration);
+    }
+
     // ============================================================
     // MutationObserver for Dynamically Added Media Elements
     // ============================================================
     
     function setupMutationObserver() {
-        const observer = new MutationObserver((mutations) => {
+        mediaObserver = new MutationObserver((mutations) => {
             mutations.forEach((mutation) => {
                 mutation.addedNodes.forEach((node) => {
                     if (node.nodeType === Node.ELEMENT_NODE) {
@@ -289,17 +1062,77 @@
                                 processMediaElement(el);
                             });
                         }
+                        // Added subtrees may bring their own shadow roots
+                        discoverShadowRoots(node);
                     }
                 });
             });
         });
         
-        observer.observe(document.documentElement, {
+        mediaObserver.observe(document.documentElement, {
             childList: true,
             subtree: true
         });
         
-        return observer;
+        return mediaObserver;
+    }
+
+    // ============================================================
+    // Page Web Audio Support
+    // Games and music apps play through their own AudioContext instead
+    // of media elements. js/page-hook.js, which runs before the page's
+    // own scripts, routes those graphs through a gain node we control.
+    // ============================================================
+    
+    function notifyPageVolume() {
+        document.dispatchEvent(new CustomEvent(PAGE_VOLUME_EVENT, { detail: isExcludedSite() ? 100 : currentVolume }));
+    }
+
+    // ============================================================
+    // Shadow DOM Support
+    // Players built from web components keep their media elements in
+    // shadow roots. Known roots are searched and observed like the
+    // document; roots attached later are reported by js/page-hook.js.
+    // ============================================================
+    
+    function getShadowRoot(element) {
+        // Firefox lets content scripts reach closed roots as well
+        return element.openOrClosedShadowRoot || element.shadowRoot;
+    }
+    
+    function registerShadowRoot(root) {
+        if (!root || shadowRoots.has(root)) {
+            return;
+        }
+        shadowRoots.add(root);
+        root.querySelectorAll('video, audio').forEach(processMediaElement);
+        if (mediaObserver) {
+            mediaObserver.observe(root, {
+                childList: true,
+                subtree: true
+            });
+        }
+        discoverShadowRoots(root);
+    }
+    
+    function discoverShadowRoots(node) {
+        const root = node.nodeType === Node.ELEMENT_NODE ? getShadowRoot(node) : null;
+        if (root) {
+            registerShadowRoot(root);
+        }
+        node.querySelectorAll('*').forEach((element) => {
+            const elementRoot = getShadowRoot(element);
+            if (elementRoot) {
+                registerShadowRoot(elementRoot);
+            }
+        });
+    }
+    
+    function onShadowRootAttached(event) {
+        const host = event.composedPath()[0];
+        if (host && host.nodeType === Node.ELEMENT_NODE) {
+            registerShadowRoot(getShadowRoot(host));
+        }
     }
 
     // ============================================================
@@ -311,8 +1144,13 @@
             if (request.data && request.data.soundVolume !== undefined) {
                 const newVolume = Number(request.data.soundVolume);
                 if (!isNaN(newVolume) && newVolume >= 0 && newVolume <= 600) {
+                    // Wheel steps were already shown when they were made
+                    const changed = newVolume !== currentVolume;
                     currentVolume = newVolume;
                     changeSoundVolume();
+                    if (changed && !isExcludedSite()) {
+                        showOsd(currentVolume, findPlayingMedia());
+                    }
                 }
             }
             sendResponse({ soundVolume: currentVolume });
@@ -322,6 +1160,31 @@
         return true; // Keep message channel open for async response
     }
 
+    // ============================================================
+    // Storage Change Handler
+    // Applies auto level, stereo, limiter and equalizer edits from the
+    // popup and site list edits from the options page without
+    // reloading the page
+    // ============================================================
+    
+    function handleStorageChange(changes, areaName) {
+        if (areaName !== 'local') {
+            return;
+        }
+        if (changes.limiter || changes.eq || changes.siteEq || changes.stereo || changes.autoLevel || changes.clipBadge) {
+            loadProcessingSettings().then(applyProcessingToElements);
+        }
+        if (changes.ignoredHosts) {
+            loadSiteLists().then(changeSoundVolume);
+        }
+        if (changes.wheelControl || changes.sliderMax) {
+            loadWheelSettings();
+        }
+        if (changes.osd) {
+            loadOsdSettings();
+        }
+    }
+
     // ============================================================
     // Initialization
     // ============================================================
@@ -329,18 +1192,29 @@
     function init() {
         // Register message listener
         getBrowser().runtime.onMessage.addListener(handleMessage);
+        getBrowser().runtime.onConnect.addListener(handleConnect);
+        document.addEventListener(SHADOW_ROOT_EVENT, onShadowRootAttached, true);
+        getBrowser().storage.onChanged.addListener(handleStorageChange);
         
-        // Load saved volume on startup
-        loadSavedVolume().then(function() {
+        // Load this tab's volume and the processing settings on startup
+        loadTabVolume().then(loadProcessingSettings).then(loadSiteLists).then(loadWheelSettings).then(loadOsdSettings).then(function() {
+            updateAutoLevelTimer();
+            updateClipTimer();
+            if (typeof browser !== 'undefined') {
+                notifyPageVolume();
+            }
+            
             // Process existing media elements on page
             getMediaElements().forEach(processMediaElement);
             
             // Set up observer for dynamically added elements
             setupMutationObserver();
+            discoverShadowRoots(document);
         }).catch(function() {
             // Still set up observer even if loading volume failed
             getMediaElements().forEach(processMediaElement);
             setupMutationObserver();
+            discoverShadowRoots(document);
         });
     }
 
@@ -0,0 +1,16 @@
+/**
+ * 600% Sound Volume - Service Worker
+ * Background entry point of the Manifest V3 (Chrome) build; the Manifest V2
+ * build loads the same scripts as a background page. They keep their state
+ * and lastError checks on `window`, which a worker does not have.
+ */
+
+self.window = self;
+
+importScripts(
+    'audio-graph.js',
+    'host-patterns.js',
+    'settings.js',
+    'settings-sync.js',
+    'background.js'
+);
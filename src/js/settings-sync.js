@@ -0,0 +1,398 @@
+/**
+ * 600% Sound Volume - Settings Sync
+ * Opt-in mirror of the portable settings (see Settings.getPortableKeys)
+ * in storage.sync. Runs in the background page only.
+ *
+ * Every setting is one sync item, "settings.<key>" = {t, v}, where t is
+ * when the value last changed on the device that wrote it. A newer t
+ * wins, key by key. Values too large for one item are split into
+ * "settings.<key>.0", ".1", ... and the main item holds {t, n} instead.
+ */
+
+var SettingsSync = (function() {
+    'use strict';
+
+    // ============================================================
+    // Configuration
+    // ============================================================
+
+    const ITEM_PREFIX = 'settings.';
+
+    // Local edits are collected for this long before one upload (ms);
+    // keeps sliders well inside the sync write-rate limits
+    const PUSH_DELAY = 2000;
+
+    // Fallbacks for browsers that do not expose storage.sync's limits
+    const DEFAULT_QUOTA_BYTES = 102400;
+    const DEFAULT_QUOTA_BYTES_PER_ITEM = 8192;
+
+    // Room left for the sync bookkeeping of the browser itself
+    const QUOTA_MARGIN = 0.9;
+
+    // Per-site maps are stored as "host=value" lines, which is much
+    // smaller than JSON once there are hundreds of sites
+    const HOST_MAP_CODECS = {
+        siteVolumes: {
+            encode: (volume) => String(volume),
+            decode: (text) => Number(text)
+        },
+        siteEq: {
+            // enabled|preset|gain,gain,...
+            encode: (eq) => (eq.enabled ? '1' : '0') + '|' + eq.preset + '|' + eq.gains.join(','),
+            decode: (text) => {
+                const parts = text.split('|');
+                return {enabled: parts[0] === '1', preset: parts[1], gains: (parts[2] || '').split(',').map(Number)};
+            }
+        }
+    };
+
+    // ============================================================
+    // State
+    // ============================================================
+
+    let enabled = false;
+
+    // When each setting last changed on this device (persisted as `syncTimes`)
+    let syncTimes = {};
+
+    // Settings changed here and not uploaded yet
+    const dirtyKeys = new Set();
+    let pushTimer = null;
+
+    // Values just copied from sync, by key; their storage.onChanged
+    // echo must not count as a local edit
+    const remoteValues = {};
+
+    // Storage changes wait for start, which loads the state above
+    let markStarted = () => {};
+    const started = new Promise(resolve => {
+        markStarted = resolve;
+    });
+
+    // ============================================================
+    // Browser API Helper
+    // ============================================================
+
+    function getBrowser() {
+        return typeof browser !== 'undefined' ? browser : chrome;
+    }
+
+    function getSyncArea() {
+        return getBrowser().storage.sync;
+    }
+
+    function getQuota() {
+        const sync = getSyncArea();
+        return {
+            bytes: Math.floor((sync.QUOTA_BYTES || DEFAULT_QUOTA_BYTES) * QUOTA_MARGIN),
+            perItem: sync.QUOTA_BYTES_PER_ITEM || DEFAULT_QUOTA_BYTES_PER_ITEM
+        };
+    }
+
+    // ============================================================
+    // Encoding
+    // ============================================================
+
+    function byteLength(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    // Size the sync quota charges for one item
+    function itemSize(name, value) {
+        return byteLength(name) + byteLength(JSON.stringify(value));
+    }
+
+    function encodeValue(key, value) {
+        const codec = HOST_MAP_CODECS[key];
+        if (!codec) {
+            return JSON.stringify(value);
+        }
+        return Object.keys(value).sort().map(host => host + '=' + codec.encode(value[host])).join('\n');
+    }
+
+    function decodeValue(key, text) {
+        const codec = HOST_MAP_CODECS[key];
+        if (!codec) {
+            return JSON.parse(text);
+        }
+        const map = {};
+        text.split('\n').forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator > 0) {
+                map[line.slice(0, separator)] = codec.decode(line.slice(separator + 1));
+            }
+        });
+        return map;
+    }
+
+    // Splits text into pieces that each fit in one sync item
+    function splitText(name, text, perItem) {
+        const chunks = [];
+        let start = 0;
+        while (start < text.length) {
+            const chunkName = name + '.' + chunks.length;
+            let end = text.length;
+            // Halve until it fits, then grow back in smaller steps
+            let step = end - start;
+            while (itemSize(chunkName, text.slice(start, end)) > perItem) {
+                step = Math.max(1, Math.floor(step / 2));
+                end = start + step;
+            }
+            while (step > 1 && end < text.length) {
+                step = Math.max(1, Math.floor(step / 2));
+                const next = Math.min(text.length, end + step);
+                if (itemSize(chunkName, text.slice(start, next)) <= perItem) {
+                    end = next;
+                }
+            }
+            chunks.push(text.slice(start, end));
+            start = end;
+        }
+        return chunks;
+    }
+
+    // The sync items for one setting
+    function buildItems(key, value, time, perItem) {
+        const name = ITEM_PREFIX + key;
+        const text = encodeValue(key, value);
+        const items = {};
+        if (itemSize(name, {t: time, v: text}) <= perItem) {
+            items[name] = {t: time, v: text};
+            return items;
+        }
+        const chunks = splitText(name, text, perItem);
+        items[name] = {t: time, n: chunks.length};
+        chunks.forEach((chunk, index) => {
+            items[name + '.' + index] = chunk;
+        });
+        return items;
+    }
+
+    // Reassembles one setting from everything in storage.sync; returns
+    // undefined when it is missing or incomplete
+    function readItems(key, stored) {
+        const meta = stored[ITEM_PREFIX + key];
+        if (!meta || typeof meta !== 'object') {
+            return undefined;
+        }
+        let text = meta.v;
+        if (typeof text !== 'string') {
+            const chunks = [];
+            for (let index = 0; index < meta.n; index++) {
+                const chunk = stored[ITEM_PREFIX + key + '.' + index];
+                if (typeof chunk !== 'string') {
+                    return undefined;
+                }
+                chunks.push(chunk);
+            }
+            text = chunks.join('');
+        }
+        try {
+            return decodeValue(key, text);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function getItemNames(key, stored) {
+        const name = ITEM_PREFIX + key;
+        return Object.keys(stored).filter(item => item === name || item.indexOf(name + '.') === 0);
+    }
+
+    // ============================================================
+    // Upload
+    // ============================================================
+
+    function schedulePush(key) {
+        dirtyKeys.add(key);
+        clearTimeout(pushTimer);
+        pushTimer = setTimeout(push, PUSH_DELAY);
+    }
+
+    function push() {
+        pushTimer = null;
+        const keys = Array.from(dirtyKeys);
+        dirtyKeys.clear();
+        if (!enabled || keys.length === 0) {
+            return;
+        }
+
+        // Settings never changed on any device start their clock now
+        const untimed = keys.filter(key => !syncTimes[key]);
+        if (untimed.length > 0) {
+            untimed.forEach(key => {
+                syncTimes[key] = Date.now();
+            });
+            Settings.set({syncTimes: syncTimes});
+        }
+
+        const quota = getQuota();
+        Settings.get(keys, (values) => {
+            getSyncArea().get(null, (stored) => {
+                stored = stored || {};
+                const items = {};
+                let stale = [];
+                keys.forEach(key => {
+                    Object.assign(items, buildItems(key, values[key], syncTimes[key], quota.perItem));
+                    stale = stale.concat(getItemNames(key, stored));
+                });
+                stale = stale.filter(name => !(name in items));
+
+                // Everything that stays in sync after this upload must fit the quota.
+                // When it does not, the largest settings stay local-only.
+                const remaining = Object.assign({}, stored, items);
+                stale.forEach(name => delete remaining[name]);
+                const sizes = {};
+                keys.forEach(key => {
+                    sizes[key] = getItemNames(key, items).reduce((sum, name) => sum + itemSize(name, items[name]), 0);
+                });
+                let total = Object.keys(remaining).reduce((sum, name) => sum + itemSize(name, remaining[name]), 0);
+                keys.slice().sort((a, b) => sizes[b] - sizes[a]).forEach(key => {
+                    if (total <= quota.bytes) {
+                        return;
+                    }
+                    console.warn('600% Sound Volume: "' + key + '" is too large to sync and stays on this device');
+                    getItemNames(key, items).forEach(name => delete items[name]);
+                    total -= sizes[key];
+                });
+
+                getSyncArea().remove(stale, () => {
+                    window.lastError = getBrowser().runtime.lastError;
+                    getSyncArea().set(items, () => {
+                        window.lastError = getBrowser().runtime.lastError;
+                        if (window.lastError) {
+                            console.warn('600% Sound Volume: settings sync failed', window.lastError.message);
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    // ============================================================
+    // Download
+    // ============================================================
+
+    // Copies every setting that is newer in sync to this device. With
+    // uploadNewer, settings that are newer here (or missing from sync)
+    // are uploaded, which is how a device joins the sync.
+    function pull(uploadNewer) {
+        getSyncArea().get(null, (stored) => {
+            stored = stored || {};
+            const updates = {};
+            Settings.getPortableKeys().forEach(key => {
+                const meta = stored[ITEM_PREFIX + key];
+                const remoteTime = meta && typeof meta.t === 'number' ? meta.t : 0;
+                const localTime = syncTimes[key] || 0;
+                if (remoteTime > localTime) {
+                    const value = readItems(key, stored);
+                    if (value !== undefined) {
+                        updates[key] = value;
+                        syncTimes[key] = remoteTime;
+                    }
+                } else if (uploadNewer && (remoteTime < localTime || !meta)) {
+                    schedulePush(key);
+                }
+            });
+
+            if (Object.keys(updates).length === 0) {
+                return;
+            }
+            const repaired = Settings.validate(updates);
+            Object.keys(repaired).forEach(key => {
+                remoteValues[key] = JSON.stringify(repaired[key]);
+            });
+            Settings.set(Object.assign({syncTimes: syncTimes}, repaired));
+        });
+    }
+
+    // ============================================================
+    // Storage Change Listener
+    // ============================================================
+
+    function handleStorageChange(changes, areaName) {
+        if (areaName === 'sync') {
+            if (enabled && Object.keys(changes).some(name => name.indexOf(ITEM_PREFIX) === 0)) {
+                pull(false);
+            }
+            return;
+        }
+        if (areaName !== 'local') {
+            return;
+        }
+        if (changes.syncTimes && !changes.syncTimes.newValue) {
+            // Storage was reset: nothing here is newer than sync any more
+            syncTimes = {};
+            enabled = false;
+            return;
+        }
+
+        // Edit times only matter while this device syncs; a device that
+        // joins later takes whatever is in sync
+        if (enabled) {
+            const editedKeys = Settings.getPortableKeys().filter(key => {
+                if (!(key in changes)) {
+                    return false;
+                }
+                // A value just copied from sync keeps the remote time
+                const newValue = JSON.stringify(changes[key].newValue);
+                if (key in remoteValues && remoteValues[key] === newValue) {
+                    delete remoteValues[key];
+                    return false;
+                }
+                return true;
+            });
+            if (editedKeys.length > 0) {
+                const now = Date.now();
+                editedKeys.forEach(key => {
+                    syncTimes[key] = now;
+                });
+                Settings.set({syncTimes: syncTimes});
+                editedKeys.forEach(schedulePush);
+            }
+        }
+
+        if (changes.syncEnabled) {
+            const wasEnabled = enabled;
+            enabled = Boolean(changes.syncEnabled.newValue);
+            if (enabled && !wasEnabled) {
+                pull(true);
+            }
+        }
+    }
+
+    // ============================================================
+    // Initialization
+    // ============================================================
+
+    // Called at the top level of the background script, so that in a
+    // service worker the change that woke it up is not missed
+    function init() {
+        if (!getSyncArea()) {
+            return;
+        }
+        getBrowser().storage.onChanged.addListener((changes, areaName) => {
+            started.then(() => handleStorageChange(changes, areaName));
+        });
+    }
+
+    // Called once Settings.migrate has run
+    function start() {
+        if (!getSyncArea()) {
+            return;
+        }
+        Settings.get(['syncEnabled', 'syncTimes'], (result) => {
+            syncTimes = result.syncTimes;
+            enabled = result.syncEnabled;
+            markStarted();
+            if (enabled) {
+                pull(true);
+            }
+        });
+    }
+
+    return {
+        init: init,
+        start: start
+    };
+})();
@@ -0,0 +1,418 @@
+/**
+ * 600% Sound Volume - Settings
+ * The one schema for everything kept in storage.local, shared by the
+ * background page, content scripts, popup and options page.
+ * Load after audio-graph.js and host-patterns.js, whose defaults it uses.
+ */
+
+var Settings = (function() {
+    'use strict';
+
+    // ============================================================
+    // Schema
+    // ============================================================
+
+    // Stored as `settingsVersion`; bump it and add a MIGRATIONS step
+    // when a key is renamed, dropped or changes meaning
+    const VERSION = 2;
+
+    const SCHEMA = {
+        // Volume
+        savedVolume: 100,           // global default volume (%)
+        siteVolumes: {},            // {hostname: volume}, overrides savedVolume
+        sliderStep: 10,             // popup slider and arrow key step (%)
+        sliderMax: 600,             // popup slider maximum (%), 100..600
+        commandStep: 10,            // volume up/down keyboard command step (%)
+        wheelControl: {             // modifier + mouse wheel over a video changes the volume
+            enabled: false,
+            modifier: 'alt',        // 'alt', 'shift' or 'ctrl'
+            step: 5                 // % per wheel notch
+        },
+
+        // Appearance
+        themePreference: null,      // 'light', 'dark' or null to follow the browser
+        osd: {                      // volume overlay shown over the playing media
+            enabled: true,
+            position: 'top-right',  // one of OSD_POSITIONS
+            duration: 1500,         // ms
+            opacity: 80             // %
+        },
+
+        // Site lists (patterns, see host-patterns.js)
+        ignoredHosts: HostPatterns.DEFAULT_IGNORED_HOSTS,
+        hostsToApply: HostPatterns.DEFAULT_HOSTS_TO_APPLY,
+
+        // Processing (see audio-graph.js)
+        limiter: AudioGraph.DEFAULT_LIMITER,
+        eq: AudioGraph.DEFAULT_EQ,
+        siteEq: {},                 // {hostname: eq}, overrides eq
+        stereo: AudioGraph.DEFAULT_STEREO,
+        autoLevel: AudioGraph.DEFAULT_AUTO_LEVEL,
+        clipBadge: true,            // turn the badge red while clipping
+        badgeSafetyVolume: 300,     // %, the badge turns red above it
+
+        // Popup tips
+        showTips: true,
+        usageCounter: 0,            // popup openings, tips appear after a few
+        used: [],                   // ids of dismissed tips
+
+        // Sync (see settings-sync.js)
+        syncEnabled: false,         // mirror the portable settings to storage.sync
+        syncTimes: {},              // {key: ms}, when each setting last changed here
+
+        settingsVersion: VERSION
+    };
+
+    // Per-profile state that is never exported or synced
+    const DEVICE_KEYS = ['usageCounter', 'used', 'syncEnabled', 'syncTimes'];
+
+    // Marks files written by exportData
+    const EXPORT_FORMAT = 'sound-volume-600-settings';
+
+    // Accepted values for the options page controls
+    const SLIDER_STEPS = [1, 5, 10, 25, 50];
+    const SLIDER_MAX_MIN = 100;
+    const SLIDER_MAX_MAX = 600;
+    const WHEEL_MODIFIERS = ['alt', 'shift', 'ctrl'];
+    const OSD_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+    const OSD_DURATION_RANGE = [500, 5000];
+    const OSD_OPACITY_RANGE = [20, 100];
+
+    // Ranges of the popup controls for the processing settings
+    const LIMITER_RANGES = {
+        threshold: [-30, 0],
+        ratio: [1, 20],
+        attack: [0, 100],
+        release: [10, 1000]
+    };
+    const EQ_GAIN_RANGE = [-12, 12];
+    const AUTO_LEVEL_RANGE = [-30, -6];
+
+    // ============================================================
+    // Validation
+    // Every validator takes a stored value and returns a usable one,
+    // falling back to the default for anything it cannot repair
+    // ============================================================
+
+    // Numbers saved as strings (older popups stored the slider's value)
+    // are accepted; anything else that is not a finite number is not
+    function toNumber(value) {
+        if (typeof value === 'string' && value.trim() !== '') {
+            value = Number(value);
+        }
+        return typeof value === 'number' && isFinite(value) ? value : NaN;
+    }
+
+    function clampNumber(value, min, max, fallback) {
+        const number = toNumber(value);
+        return isNaN(number) ? fallback : Math.max(min, Math.min(max, number));
+    }
+
+    function toBoolean(value, fallback) {
+        return typeof value === 'boolean' ? value : fallback;
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function validateVolume(value, fallback) {
+        return Math.round(clampNumber(value, 0, 600, fallback));
+    }
+
+    // Entries that cannot be repaired are dropped rather than reset
+    function validateMap(value, validateEntry) {
+        const map = {};
+        if (isPlainObject(value)) {
+            Object.keys(value).forEach(key => {
+                const entry = validateEntry(value[key]);
+                if (key && entry !== undefined) {
+                    map[key] = entry;
+                }
+            });
+        }
+        return map;
+    }
+
+    function validatePatterns(value, fallback) {
+        if (!Array.isArray(value)) {
+            return fallback;
+        }
+        return value.filter(pattern => typeof pattern === 'string' && HostPatterns.isValid(pattern))
+            .map(pattern => pattern.trim())
+            .filter((pattern, index, all) => all.indexOf(pattern) === index);
+    }
+
+    function validateLimiter(value) {
+        const limiter = isPlainObject(value) ? value : {};
+        const result = {enabled: toBoolean(limiter.enabled, AudioGraph.DEFAULT_LIMITER.enabled)};
+        Object.keys(LIMITER_RANGES).forEach(key => {
+            const range = LIMITER_RANGES[key];
+            result[key] = clampNumber(limiter[key], range[0], range[1], AudioGraph.DEFAULT_LIMITER[key]);
+        });
+        return result;
+    }
+
+    function validateEq(value) {
+        if (!isPlainObject(value)) {
+            return undefined;
+        }
+        const enabled = toBoolean(value.enabled, AudioGraph.DEFAULT_EQ.enabled);
+        if (!Array.isArray(value.gains) || value.gains.length !== AudioGraph.EQ_BANDS.length) {
+            return {enabled: enabled, preset: AudioGraph.DEFAULT_EQ.preset, gains: AudioGraph.DEFAULT_EQ.gains.slice()};
+        }
+        const preset = value.preset in AudioGraph.EQ_PRESETS ? value.preset : 'custom';
+        const gains = value.gains.map(gain => clampNumber(gain, EQ_GAIN_RANGE[0], EQ_GAIN_RANGE[1], 0));
+        return {enabled: enabled, preset: preset, gains: gains};
+    }
+
+    function validateStep(value, fallback) {
+        const step = toNumber(value);
+        return SLIDER_STEPS.indexOf(step) !== -1 ? step : fallback;
+    }
+
+    function validateWheelControl(value) {
+        const wheel = isPlainObject(value) ? value : {};
+        return {
+            enabled: toBoolean(wheel.enabled, SCHEMA.wheelControl.enabled),
+            modifier: WHEEL_MODIFIERS.indexOf(wheel.modifier) !== -1 ? wheel.modifier : SCHEMA.wheelControl.modifier,
+            step: validateStep(wheel.step, SCHEMA.wheelControl.step)
+        };
+    }
+
+    function validateOsd(value) {
+        const osd = isPlainObject(value) ? value : {};
+        return {
+            enabled: toBoolean(osd.enabled, SCHEMA.osd.enabled),
+            position: OSD_POSITIONS.indexOf(osd.position) !== -1 ? osd.position : SCHEMA.osd.position,
+            duration: Math.round(clampNumber(osd.duration, OSD_DURATION_RANGE[0], OSD_DURATION_RANGE[1], SCHEMA.osd.duration)),
+            opacity: Math.round(clampNumber(osd.opacity, OSD_OPACITY_RANGE[0], OSD_OPACITY_RANGE[1], SCHEMA.osd.opacity))
+        };
+    }
+
+    function validateStereo(value) {
+        const stereo = isPlainObject(value) ? value : {};
+        return {
+            balance: Math.round(clampNumber(stereo.balance, -100, 100, AudioGraph.DEFAULT_STEREO.balance)),
+            mono: toBoolean(stereo.mono, AudioGraph.DEFAULT_STEREO.mono),
+            swap: toBoolean(stereo.swap, AudioGraph.DEFAULT_STEREO.swap)
+        };
+    }
+
+    function validateAutoLevel(value) {
+        const autoLevel = isPlainObject(value) ? value : {};
+        return {
+            enabled: toBoolean(autoLevel.enabled, AudioGraph.DEFAULT_AUTO_LEVEL.enabled),
+            target: clampNumber(autoLevel.target, AUTO_LEVEL_RANGE[0], AUTO_LEVEL_RANGE[1], AudioGraph.DEFAULT_AUTO_LEVEL.target)
+        };
+    }
+
+    const VALIDATORS = {
+        savedVolume: (value) => validateVolume(value, SCHEMA.savedVolume),
+        siteVolumes: (value) => validateMap(value, (volume) => {
+            const repaired = validateVolume(volume, NaN);
+            return isNaN(repaired) ? undefined : repaired;
+        }),
+        sliderStep: (value) => validateStep(value, SCHEMA.sliderStep),
+        sliderMax: (value) => Math.round(clampNumber(value, SLIDER_MAX_MIN, SLIDER_MAX_MAX, SCHEMA.sliderMax)),
+        commandStep: (value) => validateStep(value, SCHEMA.commandStep),
+        wheelControl: validateWheelControl,
+        themePreference: (value) => (value === 'light' || value === 'dark' ? value : null),
+        osd: validateOsd,
+        ignoredHosts: (value) => validatePatterns(value, getDefault('ignoredHosts')),
+        hostsToApply: (value) => validatePatterns(value, getDefault('hostsToApply')),
+        limiter: validateLimiter,
+        eq: (value) => validateEq(value) || getDefault('eq'),
+        siteEq: (value) => validateMap(value, validateEq),
+        stereo: validateStereo,
+        autoLevel: validateAutoLevel,
+        clipBadge: (value) => toBoolean(value, SCHEMA.clipBadge),
+        badgeSafetyVolume: (value) => Math.round(clampNumber(value, SLIDER_MAX_MIN, SLIDER_MAX_MAX, SCHEMA.badgeSafetyVolume)),
+        showTips: (value) => toBoolean(value, SCHEMA.showTips),
+        usageCounter: (value) => Math.max(0, Math.floor(clampNumber(value, 0, Infinity, 0))),
+        used: (value) => (Array.isArray(value) ? value.filter(id => typeof id === 'string') : []),
+        syncEnabled: (value) => toBoolean(value, SCHEMA.syncEnabled),
+        syncTimes: (value) => validateMap(value, (time) => {
+            const number = toNumber(time);
+            return isNaN(number) ? undefined : number;
+        }),
+        settingsVersion: (value) => Math.floor(clampNumber(value, 0, VERSION, 0))
+    };
+
+    // Keys outside the schema are passed through untouched
+    function validate(values) {
+        const result = {};
+        Object.keys(values).forEach(key => {
+            result[key] = key in VALIDATORS ? VALIDATORS[key](values[key]) : values[key];
+        });
+        return result;
+    }
+
+    // ============================================================
+    // Migrations
+    // MIGRATIONS[n] upgrades stored data from version n - 1 to n. Each
+    // step gets everything in storage.local and returns the keys to
+    // remove; it changes the data object in place.
+    // ============================================================
+
+    const MIGRATIONS = {
+        // Version 1: the first schema; installs older than it have no
+        // settingsVersion and are validated as a whole below
+        1: () => [],
+
+        // Version 2: the ad banner and install-date nag this fork removed
+        2: () => ['permittedToShowBanner', 'installationDate']
+    };
+
+    // Runs the migration steps from `fromVersion` on a copy of the data;
+    // returns the upgraded copy and the keys the steps dropped
+    function upgrade(values, fromVersion) {
+        const data = Object.assign({}, values);
+        let removed = [];
+        for (let version = fromVersion + 1; version <= VERSION; version++) {
+            removed = removed.concat(MIGRATIONS[version](data));
+        }
+        removed.forEach(key => delete data[key]);
+        data.settingsVersion = VERSION;
+        return {data: data, removed: removed};
+    }
+
+    // Brings storage.local up to VERSION and repairs invalid values. The
+    // background page runs this once at startup.
+    function migrate(callback) {
+        getBrowser().storage.local.get(null, (stored) => {
+            const upgraded = upgrade(stored, VALIDATORS.settingsVersion(stored.settingsVersion));
+            let removed = upgraded.removed;
+
+            // Only write back what actually changed
+            const repaired = validate(upgraded.data);
+            const changed = {};
+            Object.keys(repaired).forEach(key => {
+                if (JSON.stringify(repaired[key]) !== JSON.stringify(stored[key])) {
+                    changed[key] = repaired[key];
+                }
+            });
+            removed = removed.filter(key => key in stored);
+
+            getBrowser().storage.local.remove(removed, () => {
+                set(changed, callback);
+            });
+        });
+    }
+
+    // ============================================================
+    // Export / Import
+    // ============================================================
+
+    function getPortableKeys() {
+        return Object.keys(SCHEMA).filter(key => key !== 'settingsVersion' && DEVICE_KEYS.indexOf(key) === -1);
+    }
+
+    // Calls back with the object to save as the export file
+    function exportData(callback) {
+        get(getPortableKeys(), (values) => {
+            callback(Object.assign({format: EXPORT_FORMAT, settingsVersion: VERSION}, values));
+        });
+    }
+
+    // Checks a parsed export file. Returns {values, unknown, repaired}:
+    // the settings to store, keys that were ignored and keys whose values
+    // had to be repaired. Throws an Error whose message is 'not-settings'
+    // or 'newer-version' when the file cannot be used at all.
+    function prepareImport(file) {
+        if (!isPlainObject(file) || file.format !== EXPORT_FORMAT) {
+            throw new Error('not-settings');
+        }
+        const fileVersion = Math.floor(toNumber(file.settingsVersion));
+        if (isNaN(fileVersion) || fileVersion < 1) {
+            throw new Error('not-settings');
+        }
+        if (fileVersion > VERSION) {
+            throw new Error('newer-version');
+        }
+
+        const upgraded = upgrade(file, fileVersion).data;
+        const portable = getPortableKeys();
+        const values = {};
+        const unknown = [];
+        const repaired = [];
+        Object.keys(upgraded).forEach(key => {
+            if (key === 'format' || key === 'settingsVersion') {
+                return;
+            }
+            if (portable.indexOf(key) === -1) {
+                unknown.push(key);
+                return;
+            }
+            values[key] = VALIDATORS[key](upgraded[key]);
+            if (JSON.stringify(values[key]) !== JSON.stringify(upgraded[key])) {
+                repaired.push(key);
+            }
+        });
+        return {values: values, unknown: unknown, repaired: repaired};
+    }
+
+    // ============================================================
+    // Storage Access
+    // ============================================================
+
+    function getBrowser() {
+        return typeof browser !== 'undefined' ? browser : chrome;
+    }
+
+    // Fresh copies, so callers can modify what they get back
+    function getDefault(key) {
+        return JSON.parse(JSON.stringify(SCHEMA[key]));
+    }
+
+    function getDefaults(keys) {
+        const defaults = {};
+        (keys || Object.keys(SCHEMA)).forEach(key => {
+            defaults[key] = getDefault(key);
+        });
+        return defaults;
+    }
+
+    // Reads one key, a list of keys or (null) every setting, falling back
+    // to the schema defaults; values are always validated
+    function get(keys, callback) {
+        const list = typeof keys === 'string' ? [keys] : keys;
+        getBrowser().storage.local.get(getDefaults(list), (result) => {
+            callback(validate(result || getDefaults(list)));
+        });
+    }
+
+    function set(values, callback) {
+        getBrowser().storage.local.set(validate(values), callback || (() => {
+            window.lastError = getBrowser().runtime.lastError;
+        }));
+    }
+
+    // Forgets everything, including per-site volumes and dismissed tips
+    function reset(callback) {
+        getBrowser().storage.local.clear(() => {
+            set({settingsVersion: VERSION}, callback);
+        });
+    }
+
+    return {
+        VERSION: VERSION,
+        SCHEMA: SCHEMA,
+        SLIDER_STEPS: SLIDER_STEPS,
+        SLIDER_MAX_MIN: SLIDER_MAX_MIN,
+        SLIDER_MAX_MAX: SLIDER_MAX_MAX,
+        WHEEL_MODIFIERS: WHEEL_MODIFIERS,
+        OSD_POSITIONS: OSD_POSITIONS,
+        getDefault: getDefault,
+        getDefaults: getDefaults,
+        DEVICE_KEYS: DEVICE_KEYS,
+        validate: validate,
+        migrate: migrate,
+        getPortableKeys: getPortableKeys,
+        exportData: exportData,
+        prepareImport: prepareImport,
+        get: get,
+        set: set,
+        reset: reset
+    };
+})();
@@ -0,0 +1,209 @@
+/**
+ * 600% Sound Volume - Tab Capture
+ * Chrome's audio pipeline: a tab's captured audio is played back through
+ * an AudioGraph chain at the tab's volume. Runs in the background page
+ * (Manifest V2) or in the offscreen document (Manifest V3), and is driven
+ * through handleMessage in both.
+ */
+
+var TabCapture = (function() {
+    'use strict';
+
+    // ============================================================
+    // State
+    // ============================================================
+
+    // Captured tabs by id: {context, stream, chain, meterWatchers,
+    // clipWatch, lastClipReport}
+    const captures = {};
+
+    let autoLevelTimer = null;
+    let clipTimer = null;
+
+    // Tells the background script about captures that ended on their own
+    // and about clipping
+    let notify = () => {};
+
+    // ============================================================
+    // Capture
+    // ============================================================
+
+    // The stream id comes from tabCapture.getMediaStreamId
+    function openStream(streamId) {
+        return navigator.mediaDevices.getUserMedia({
+            audio: {mandatory: {chromeMediaSource: 'tab', chromeMediaSourceId: streamId}},
+            video: false
+        });
+    }
+
+    function start(tabId, streamId, volume, processing) {
+        return openStream(streamId).then(stream => {
+            // A second capture of the same tab is not needed
+            if (captures[tabId]) {
+                stream.getTracks().forEach(track => track.stop());
+                setVolume(tabId, volume);
+                return;
+            }
+            const context = new AudioContext();
+            const chain = AudioGraph.createChain(context, context.createMediaStreamSource(stream));
+            captures[tabId] = {
+                context: context,
+                stream: stream,
+                chain: chain,
+                meterWatchers: 0,
+                clipWatch: false,
+                lastClipReport: 0
+            };
+            AudioGraph.setGain(chain, volume);
+            applyProcessing(tabId, processing);
+            updateAutoLevelTimer();
+
+            // Ends when the tab is closed or the capture is taken away
+            stream.getAudioTracks().forEach(track => {
+                track.addEventListener('ended', () => {
+                    if (captures[tabId] && captures[tabId].stream === stream) {
+                        stop(tabId);
+                        notify({action: 'captureEnded', tabId: tabId});
+                    }
+                });
+            });
+        });
+    }
+
+    function stop(tabId) {
+        const capture = captures[tabId];
+        if (!capture) {
+            return;
+        }
+        delete captures[tabId];
+        capture.stream.getTracks().forEach(track => track.stop());
+        capture.context.close();
+        updateAutoLevelTimer();
+        updateClipTimer();
+    }
+
+    // ============================================================
+    // Processing
+    // ============================================================
+
+    function setVolume(tabId, volume) {
+        if (captures[tabId]) {
+            AudioGraph.setGain(captures[tabId].chain, volume);
+        }
+    }
+
+    // processing: {autoLevel, stereo, limiter, eq, clipWatch}, the EQ
+    // already resolved for the tab's site
+    function applyProcessing(tabId, processing) {
+        const capture = captures[tabId];
+        if (!capture || !processing) {
+            return;
+        }
+        AudioGraph.applyAutoLevel(capture.chain, processing.autoLevel);
+        AudioGraph.applyStereo(capture.chain, processing.stereo);
+        AudioGraph.applyLimiter(capture.chain, processing.limiter);
+        AudioGraph.applyEq(capture.chain, processing.eq);
+        capture.clipWatch = Boolean(processing.clipWatch);
+        updateMetering(capture);
+        updateClipTimer();
+    }
+
+    // Loudness normalization; updateAutoLevel is a no-op while it is off
+    function updateAutoLevelTimer() {
+        const active = Object.keys(captures).length > 0;
+        if (active && !autoLevelTimer) {
+            autoLevelTimer = setInterval(() => {
+                Object.keys(captures).forEach(tabId => AudioGraph.updateAutoLevel(captures[tabId].chain));
+            }, AudioGraph.AUTO_LEVEL_INTERVAL);
+        } else if (!active && autoLevelTimer) {
+            clearInterval(autoLevelTimer);
+            autoLevelTimer = null;
+        }
+    }
+
+    // ============================================================
+    // Level Meter
+    // ============================================================
+
+    function updateMetering(capture) {
+        AudioGraph.setMetering(capture.chain, capture.meterWatchers > 0 || capture.clipWatch);
+    }
+
+    // Counted, since several popup meters may watch the same tab
+    function setMetering(tabId, enabled) {
+        const capture = captures[tabId];
+        if (!capture) {
+            return;
+        }
+        capture.meterWatchers = Math.max(0, capture.meterWatchers + (enabled ? 1 : -1));
+        updateMetering(capture);
+    }
+
+    // Clipping is watched for the badge whether or not a popup meter is open
+    function updateClipTimer() {
+        const active = Object.keys(captures).some(tabId => captures[tabId].clipWatch);
+        if (active && !clipTimer) {
+            clipTimer = setInterval(() => {
+                const now = Date.now();
+                Object.keys(captures).forEach(tabId => {
+                    const capture = captures[tabId];
+                    if (capture.clipWatch && now - capture.lastClipReport >= AudioGraph.CLIP_REPORT_INTERVAL
+                        && AudioGraph.readLevels(capture.chain).peak >= 1) {
+                        capture.lastClipReport = now;
+                        notify({action: 'captureClipped', tabId: Number(tabId)});
+                    }
+                });
+            }, AudioGraph.METER_INTERVAL);
+        } else if (!active && clipTimer) {
+            clearInterval(clipTimer);
+            clipTimer = null;
+        }
+    }
+
+    function readLevels(tabId) {
+        return captures[tabId] ? AudioGraph.readLevels(captures[tabId].chain) : null;
+    }
+
+    // ============================================================
+    // Messages
+    // ============================================================
+
+    // message: {action, tabId, ...}; callback gets the answer, if any
+    function handleMessage(message, callback) {
+        const tabId = message.tabId;
+        switch (message.action) {
+            case 'start':
+                start(tabId, message.streamId, message.volume, message.processing).then(() => {
+                    callback({captured: true});
+                }, error => {
+                    callback({captured: false, error: error.message || error.name});
+                });
+                return;
+            case 'stop':
+                stop(tabId);
+                break;
+            case 'setVolume':
+                setVolume(tabId, message.volume);
+                break;
+            case 'applyProcessing':
+                applyProcessing(tabId, message.processing);
+                break;
+            case 'setMetering':
+                setMetering(tabId, message.enabled);
+                break;
+            case 'readLevels':
+                callback(readLevels(tabId));
+                return;
+        }
+        callback(null);
+    }
+
+    function init(notifyCallback) {
+        notify = notifyCallback;
+    }
+
+    return {
+        init: init,
+        handleMessage: handleMessage
+    };
+})();
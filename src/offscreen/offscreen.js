@@ -0,0 +1,26 @@
+/**
+ * 600% Sound Volume - Offscreen Document
+ * Manifest V3 only: a service worker cannot hold an AudioContext, so the
+ * background script creates this document and drives js/tab-capture.js
+ * in it with {target: 'offscreen', ...} messages
+ */
+
+(function() {
+    'use strict';
+
+    TabCapture.init((message) => {
+        chrome.runtime.sendMessage(message, () => {
+            window.lastError = chrome.runtime.lastError;
+        });
+    });
+
+    // Messages between content scripts, the popup and the background
+    // script reach this document too; they are not ours
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.target !== 'offscreen') {
+            return false;
+        }
+        TabCapture.handleMessage(message, sendResponse);
+        return true;
+    });
+})();
@@ -0,0 +1,670 @@
+/**
+ * 600% Sound Volume - Options Page
+ * Edits the settings described by js/settings.js; everything else in the
+ * extension picks the changes up through storage.onChanged
+ */
+
+(function() {
+    'use strict';
+
+    // ============================================================
+    // Configuration
+    // ============================================================
+
+    // Storage keys of the editable site lists
+    const SITE_LISTS = ['ignoredHosts', 'hostsToApply'];
+
+    // How long a status message stays visible (ms)
+    const STATUS_TIMEOUT = 4000;
+
+    // ============================================================
+    // Browser API Helper
+    // ============================================================
+
+    function getBrowser() {
+        return typeof browser !== 'undefined' ? browser : chrome;
+    }
+
+    function getMessage(name, substitutions) {
+        return getBrowser().i18n.getMessage(name, substitutions) || name;
+    }
+
+    // ============================================================
+    // Localization and Theme
+    // ============================================================
+
+    function localizePage() {
+        document.documentElement.lang = getBrowser().i18n.getUILanguage();
+        document.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = getMessage(element.dataset.i18n);
+        });
+    }
+
+    // Same rules as the popup: a saved preference wins over the browser theme
+    function applyTheme(themePreference) {
+        const isDark = themePreference === null
+            ? Boolean(window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches)
+            : themePreference === 'dark';
+        document.body.classList.toggle('dark-theme', isDark);
+    }
+
+    // ============================================================
+    // Status Messages
+    // ============================================================
+
+    let statusTimer = null;
+
+    function showStatus(text, isError) {
+        const status = document.getElementById('status');
+        status.textContent = text;
+        status.classList.toggle('is-error', Boolean(isError));
+        status.hidden = false;
+        clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => {
+            status.hidden = true;
+        }, STATUS_TIMEOUT);
+    }
+
+    // ============================================================
+    // JSON Files
+    // ============================================================
+
+    function downloadJson(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], {type: 'application/json'});
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    // Calls back with the parsed file, or shows an error
+    function readJsonFile(file, callback) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                showStatus(getMessage('options_import_not_json'), true);
+                return;
+            }
+            callback(data);
+        };
+        reader.onerror = () => showStatus(getMessage('options_import_not_json'), true);
+        reader.readAsText(file);
+    }
+
+    // Opens the file picker behind an import button
+    function setupFileInput(buttonId, inputId, callback) {
+        const fileInput = document.getElementById(inputId);
+        document.getElementById(buttonId).addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                readJsonFile(fileInput.files[0], callback);
+            }
+            fileInput.value = '';
+        });
+    }
+
+    // ============================================================
+    // Simple Fields
+    // Inputs marked with data-setting="<key>" edit that key directly,
+    // data-setting="<key>.<property>" one property of an object setting
+    // ============================================================
+
+    function getFields() {
+        return Array.from(document.querySelectorAll('[data-setting]'));
+    }
+
+    function getFieldKey(element) {
+        return element.dataset.setting.split('.')[0];
+    }
+
+    function getFieldKeys() {
+        return getFields().map(getFieldKey);
+    }
+
+    function getFieldValue(element, value) {
+        const property = element.dataset.setting.split('.')[1];
+        return property ? value[property] : value;
+    }
+
+    // Returns the value to store, or undefined to revert the field
+    function readField(element) {
+        if (element.type === 'checkbox') {
+            return element.checked;
+        }
+        if (element.type === 'number') {
+            const value = Math.round(Number(element.value));
+            if (element.value === '' || isNaN(value)) {
+                return undefined;
+            }
+            return Math.max(Number(element.min), Math.min(Number(element.max), value));
+        }
+        if (element.dataset.number) {
+            return Number(element.value);
+        }
+        return element.value || null;
+    }
+
+    function renderField(element, value) {
+        if (element.type === 'checkbox') {
+            element.checked = Boolean(value);
+        } else {
+            element.value = value === null ? '' : String(value);
+        }
+    }
+
+    function setupFields() {
+        document.querySelectorAll('select[data-steps]').forEach(select => {
+            Settings.SLIDER_STEPS.forEach(step => {
+                const option = document.createElement('option');
+                option.value = String(step);
+                option.textContent = String(step);
+                select.appendChild(option);
+            });
+        });
+
+        const maxInput = document.querySelector('[data-setting="sliderMax"]');
+        maxInput.min = Settings.SLIDER_MAX_MIN;
+        maxInput.max = Settings.SLIDER_MAX_MAX;
+
+        getFields().forEach(element => {
+            const key = getFieldKey(element);
+            const property = element.dataset.setting.split('.')[1];
+            element.addEventListener('change', () => {
+                const value = readField(element);
+                if (value === undefined) {
+                    loadFields([key]);
+                    return;
+                }
+                renderField(element, value);
+                if (!property) {
+                    Settings.set({[key]: value});
+                    return;
+                }
+                Settings.get(key, (result) => {
+                    Settings.set({[key]: Object.assign({}, result[key], {[property]: value})});
+                });
+            });
+        });
+    }
+
+    function loadFields(keys) {
+        Settings.get(keys, (result) => {
+            getFields().forEach(element => {
+                const key = getFieldKey(element);
+                if (key in result) {
+                    renderField(element, getFieldValue(element, result[key]));
+                }
+            });
+            if ('themePreference' in result) {
+                applyTheme(result.themePreference);
+            }
+        });
+    }
+
+    // ============================================================
+    // Per-site Volumes
+    // ============================================================
+
+    function loadSiteVolumeCount() {
+        Settings.get('siteVolumes', (result) => {
+            const count = Object.keys(result.siteVolumes).length;
+            document.getElementById('site-volume-count').textContent = getMessage('options_site_volume_count', String(count));
+            document.getElementById('clear-site-volumes').disabled = count === 0;
+        });
+    }
+
+    function setupSiteVolumes() {
+        document.getElementById('clear-site-volumes').addEventListener('click', () => {
+            Settings.set({siteVolumes: {}});
+        });
+    }
+
+    // ============================================================
+    // Site List Editors
+    // ============================================================
+
+    // Current contents of every list, as stored
+    const siteLists = {};
+
+    function getListElement(key) {
+        return document.querySelector('.host-list[data-key="' + key + '"]');
+    }
+
+    function renderList(key) {
+        const items = getListElement(key).querySelector('.host-list__items');
+        items.textContent = '';
+
+        siteLists[key].forEach(pattern => {
+            const item = document.createElement('li');
+            item.className = 'host-list__item';
+
+            const text = document.createElement('code');
+            text.className = 'host-list__pattern';
+            text.textContent = pattern;
+            item.appendChild(text);
+
+            const remove = document.createElement('button');
+            remove.className = 'host-list__remove';
+            remove.type = 'button';
+            remove.textContent = '×';
+            remove.title = getMessage('options_remove');
+            remove.addEventListener('click', () => {
+                Settings.set({[key]: siteLists[key].filter(entry => entry !== pattern)});
+            });
+            item.appendChild(remove);
+
+            items.appendChild(item);
+        });
+
+        if (siteLists[key].length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'host-list__empty';
+            empty.textContent = getMessage('options_list_empty');
+            items.appendChild(empty);
+        }
+    }
+
+    function showListError(key, text) {
+        const error = getListElement(key).querySelector('.host-list__error');
+        error.textContent = text || '';
+        error.hidden = !text;
+    }
+
+    function setupListEditor(key) {
+        const list = getListElement(key);
+        const input = list.querySelector('.host-list__input');
+        input.placeholder = getMessage('options_pattern_placeholder');
+
+        list.querySelector('.host-list__add').addEventListener('submit', (event) => {
+            event.preventDefault();
+            const pattern = input.value.trim();
+            if (!pattern) {
+                return;
+            }
+            if (!HostPatterns.isValid(pattern)) {
+                showListError(key, getMessage('options_invalid_pattern', pattern));
+                return;
+            }
+            showListError(key, null);
+            if (siteLists[key].indexOf(pattern) === -1) {
+                Settings.set({[key]: siteLists[key].concat(pattern)});
+            }
+            input.value = '';
+        });
+
+        input.addEventListener('input', () => showListError(key, null));
+    }
+
+    function loadLists() {
+        Settings.get(SITE_LISTS, (result) => {
+            SITE_LISTS.forEach(key => {
+                siteLists[key] = result[key];
+                renderList(key);
+            });
+        });
+    }
+
+    // ============================================================
+    // Site List Import / Export
+    // ============================================================
+
+    function exportLists() {
+        const data = {};
+        SITE_LISTS.forEach(key => {
+            data[key] = siteLists[key];
+        });
+        downloadJson(data, 'sound-volume-600-sites.json');
+    }
+
+    // Returns the lists to store, or throws with a message for the user
+    function parseListImport(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(getMessage('options_import_not_json'));
+        }
+
+        const lists = {};
+        SITE_LISTS.forEach(key => {
+            if (!(key in data)) {
+                return;
+            }
+            if (!Array.isArray(data[key]) || data[key].some(pattern => typeof pattern !== 'string')) {
+                throw new Error(getMessage('options_import_bad_list', key));
+            }
+            const invalid = data[key].filter(pattern => !HostPatterns.isValid(pattern));
+            if (invalid.length > 0) {
+                throw new Error(getMessage('options_invalid_pattern', invalid[0]));
+            }
+            lists[key] = data[key].map(pattern => pattern.trim())
+                .filter((pattern, index, all) => all.indexOf(pattern) === index);
+        });
+
+        if (Object.keys(lists).length === 0) {
+            throw new Error(getMessage('options_import_no_lists'));
+        }
+        return lists;
+    }
+
+    function importLists(data) {
+        try {
+            Settings.set(parseListImport(data));
+            showStatus(getMessage('options_import_done'), false);
+        } catch (e) {
+            showStatus(e.message, true);
+        }
+    }
+
+    function setupListImportExport() {
+        document.getElementById('export-lists').addEventListener('click', exportLists);
+        setupFileInput('import-lists', 'import-file', importLists);
+
+        document.getElementById('reset-lists').addEventListener('click', () => {
+            Settings.set(Settings.getDefaults(SITE_LISTS));
+        });
+    }
+
+    // ============================================================
+    // Settings Backup
+    // The whole configuration as one file, checked against the schema
+    // and previewed before anything is overwritten
+    // ============================================================
+
+    // Result of Settings.prepareImport waiting for Apply
+    let pendingImport = null;
+
+    function exportSettings() {
+        Settings.exportData((data) => {
+            const date = new Date().toISOString().slice(0, 10);
+            downloadJson(data, 'sound-volume-600-settings-' + date + '.json');
+        });
+    }
+
+    function describeValue(value) {
+        if (value === null || value === undefined) {
+            return '—';
+        }
+        if (typeof value === 'boolean') {
+            return getMessage(value ? 'options_value_on' : 'options_value_off');
+        }
+        if (Array.isArray(value)) {
+            return value.join(', ');
+        }
+        return String(value);
+    }
+
+    // Short human readable lines describing how one setting would change
+    function describeChange(key, before, after) {
+        if (key === 'siteVolumes' || key === 'siteEq') {
+            const hosts = Object.keys(Object.assign({}, before, after));
+            const added = hosts.filter(host => !(host in before)).length;
+            const removed = hosts.filter(host => !(host in after)).length;
+            const changed = hosts.filter(host => host in before && host in after
+                && JSON.stringify(before[host]) !== JSON.stringify(after[host])).length;
+            return [getMessage('options_diff_sites', [String(added), String(changed), String(removed)])];
+        }
+        if (Array.isArray(before) && Array.isArray(after)) {
+            return after.filter(entry => before.indexOf(entry) === -1).map(entry => '+ ' + entry)
+                .concat(before.filter(entry => after.indexOf(entry) === -1).map(entry => '− ' + entry));
+        }
+        if (before && after && typeof before === 'object') {
+            return Object.keys(after)
+                .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+                .map(field => field + ': ' + describeValue(before[field]) + ' → ' + describeValue(after[field]));
+        }
+        return [describeValue(before) + ' → ' + describeValue(after)];
+    }
+
+    function renderImportPreview(prepared, current) {
+        const preview = document.getElementById('import-preview');
+        const changes = preview.querySelector('.import-preview__changes');
+        changes.textContent = '';
+
+        const changedKeys = Object.keys(prepared.values)
+            .filter(key => JSON.stringify(prepared.values[key]) !== JSON.stringify(current[key]));
+
+        changedKeys.forEach(key => {
+            const item = document.createElement('li');
+            item.className = 'import-preview__change';
+
+            const label = document.createElement('strong');
+            label.textContent = getMessage('options_key_' + key);
+            item.appendChild(label);
+
+            const details = document.createElement('ul');
+            details.className = 'import-preview__details';
+            describeChange(key, current[key], prepared.values[key]).forEach(line => {
+                const detail = document.createElement('li');
+                detail.textContent = line;
+                details.appendChild(detail);
+            });
+            item.appendChild(details);
+
+            changes.appendChild(item);
+        });
+
+        if (changedKeys.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'import-preview__change';
+            item.textContent = getMessage('options_import_no_changes');
+            changes.appendChild(item);
+        }
+
+        const notes = [];
+        if (prepared.repaired.length > 0) {
+            notes.push(getMessage('options_import_repaired', prepared.repaired.join(', ')));
+        }
+        if (prepared.unknown.length > 0) {
+            notes.push(getMessage('options_import_unknown', prepared.unknown.join(', ')));
+        }
+        const note = preview.querySelector('.import-preview__note');
+        note.textContent = notes.join(' ');
+        note.hidden = notes.length === 0;
+
+        document.getElementById('apply-import').disabled = changedKeys.length === 0;
+        preview.hidden = false;
+    }
+
+    function importSettings(data) {
+        let prepared;
+        try {
+            prepared = Settings.prepareImport(data);
+        } catch (e) {
+            showStatus(getMessage('options_import_error_' + e.message.replace('-', '_')), true);
+            return;
+        }
+        Settings.get(Object.keys(prepared.values), (current) => {
+            pendingImport = prepared;
+            renderImportPreview(prepared, current);
+        });
+    }
+
+    function closeImportPreview() {
+        pendingImport = null;
+        document.getElementById('import-preview').hidden = true;
+    }
+
+    function setupBackup() {
+        document.getElementById('export-settings').addEventListener('click', exportSettings);
+        setupFileInput('import-settings', 'import-settings-file', importSettings);
+
+        document.getElementById('apply-import').addEventListener('click', () => {
+            if (!pendingImport) {
+                return;
+            }
+            Settings.set(pendingImport.values, () => showStatus(getMessage('options_import_settings_done'), false));
+            closeImportPreview();
+        });
+        document.getElementById('cancel-import').addEventListener('click', closeImportPreview);
+    }
+
+    // ============================================================
+    // Keyboard Shortcuts
+    // Firefox can change them from here, Chrome only on its own page
+    // ============================================================
+
+    function canEditShortcuts() {
+        return Boolean(getBrowser().commands && getBrowser().commands.update);
+    }
+
+    function getShortcutLabel(command) {
+        const name = command.name === '_execute_browser_action' || command.name === '_execute_action'
+            ? getMessage('options_shortcut_open_popup')
+            : getBrowser().i18n.getMessage('options_shortcut_' + command.name);
+        return name || command.description || command.name;
+    }
+
+    function updateShortcut(name, shortcut) {
+        const request = shortcut
+            ? getBrowser().commands.update({name: name, shortcut: shortcut})
+            : getBrowser().commands.reset(name);
+        request.then(() => {
+            showStatus(getMessage('options_shortcut_saved'), false);
+            loadShortcuts();
+        }, (error) => {
+            showStatus(getMessage('options_shortcut_invalid', error.message), true);
+        });
+    }
+
+    function renderShortcut(command) {
+        const item = document.createElement('li');
+        item.className = 'shortcuts__item';
+
+        const label = document.createElement('span');
+        label.className = 'shortcuts__label';
+        label.textContent = getShortcutLabel(command);
+        item.appendChild(label);
+
+        if (!canEditShortcuts()) {
+            const keys = document.createElement('kbd');
+            keys.className = 'shortcuts__keys';
+            keys.textContent = command.shortcut || getMessage('options_shortcut_none');
+            item.appendChild(keys);
+            return item;
+        }
+
+        const input = document.createElement('input');
+        input.className = 'shortcuts__input';
+        input.type = 'text';
+        input.value = command.shortcut || '';
+        input.placeholder = getMessage('options_shortcut_none');
+        input.spellcheck = false;
+        input.addEventListener('change', () => updateShortcut(command.name, input.value.trim()));
+        item.appendChild(input);
+
+        const reset = document.createElement('button');
+        reset.className = 'button';
+        reset.type = 'button';
+        reset.textContent = getMessage('options_shortcut_reset');
+        reset.addEventListener('click', () => updateShortcut(command.name, ''));
+        item.appendChild(reset);
+
+        return item;
+    }
+
+    function loadShortcuts() {
+        if (!getBrowser().commands) {
+            document.getElementById('shortcuts').hidden = true;
+            return;
+        }
+        getBrowser().commands.getAll((commands) => {
+            const list = document.querySelector('.shortcuts');
+            list.textContent = '';
+            commands.forEach(command => list.appendChild(renderShortcut(command)));
+        });
+    }
+
+    function setupShortcuts() {
+        document.getElementById('shortcuts-help').textContent = getMessage(canEditShortcuts()
+            ? 'options_shortcuts_help_editable'
+            : 'options_shortcuts_help_browser');
+
+        if (!canEditShortcuts() && getBrowser().tabs) {
+            const button = document.getElementById('shortcut-settings');
+            button.hidden = false;
+            button.addEventListener('click', () => {
+                getBrowser().tabs.create({url: 'chrome://extensions/shortcuts'});
+            });
+        }
+    }
+
+    // ============================================================
+    // Tips and Storage
+    // ============================================================
+
+    function setupTips() {
+        document.getElementById('restore-tips').addEventListener('click', () => {
+            Settings.set({used: []}, () => showStatus(getMessage('options_tips_restored'), false));
+        });
+    }
+
+    function setupReset() {
+        document.getElementById('reset-all').addEventListener('click', () => {
+            if (!window.confirm(getMessage('options_reset_all_confirm'))) {
+                return;
+            }
+            Settings.reset(() => showStatus(getMessage('options_reset_all_done'), false));
+        });
+    }
+
+    // ============================================================
+    // Storage Change Listener
+    // ============================================================
+
+    // Edits from this page, the popup and other open copies of this page
+    // all come back through here
+    function handleStorageChange(changes, areaName) {
+        if (areaName !== 'local') {
+            return;
+        }
+        const fieldKeys = getFieldKeys()
+            .concat('themePreference')
+            .filter(key => key in changes);
+        if (fieldKeys.length > 0) {
+            loadFields(fieldKeys);
+        }
+        if (changes.siteVolumes) {
+            loadSiteVolumeCount();
+        }
+        SITE_LISTS.forEach(key => {
+            if (changes[key]) {
+                siteLists[key] = changes[key].newValue || Settings.getDefault(key);
+                renderList(key);
+            }
+        });
+    }
+
+    // ============================================================
+    // Initialization
+    // ============================================================
+
+    function init() {
+        localizePage();
+        setupFields();
+        setupSiteVolumes();
+        SITE_LISTS.forEach(setupListEditor);
+        setupListImportExport();
+        setupBackup();
+        setupShortcuts();
+        setupTips();
+        setupReset();
+
+        loadFields(getFieldKeys().concat('themePreference'));
+        loadSiteVolumeCount();
+        loadLists();
+        loadShortcuts();
+
+        getBrowser().storage.onChanged.addListener(handleStorageChange);
+        if (window.matchMedia) {
+            window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+                loadFields(['themePreference']);
+            });
+        }
+    }
+
+    init();
+})();
@@ -108,11 +108,134 @@
                 })]), n("input", {
                     ref: "volume-slider",
                     staticClass: "volume-slider__slider",
-                    attrs: {id: "volume-slider", type: "range", min: "0", max: "600", step: "10", autofocus: ""},
+                    attrs: {id: "volume-slider", type: "range", min: "0", max: t.$parent.sliderMax, step: t.$parent.sliderStep, autofocus: ""},
                     domProps: {value: t.$parent.soundVolume},
                     on: {change: t.$parent.soundValueChangeHandler, input: t.$parent.soundValueInputHandler}
-                })]), n("section", {staticClass: "volume-info"}, [n("span", {staticClass: "volume-info__volume-min"}, [t._v("0 %")]), n("span", {staticClass: "volume-info__volume-current"}, [t._v(t._s(t.$t("volumeLabel")) + " " + t._s(t.$parent.soundVolume) + " %")]), n("span", {staticClass: "volume-info__volume-max"}, [t._v("600 %")])]), n("section", {staticClass: "tabs"}, [t.$parent.audibleTabs.length ? n("div", {staticClass: "tabs__title"}, [t._v(t._s(t.$t("tabsLabel")))]) : n("div", {staticClass: "tabs__title"}, [t._v(t._s(t.$t("noTabsLabel")))]), t._l(t.$parent.audibleTabs, (function (e) {
-                    return n("div", {key: e.id, staticClass: "tabs__list"}, [n("a", {
+                })]), n("section", {staticClass: "volume-info"}, [n("span", {staticClass: "volume-info__volume-min"}, [t._v("0 %")]), n("span", {staticClass: "volume-info__volume-current"}, [t._v(t._s(t.$t("volumeLabel")) + " " + t._s(t.$parent.soundVolume) + " %")]), n("span", {staticClass: "volume-info__volume-max"}, [t._v(t._s(t.$parent.sliderMax) + " %")])]), n("section", {staticClass: "meter"}, [n("div", {staticClass: "meter__bar"}, [n("div", {
+                    staticClass: "meter__rms",
+                    style: {width: t.$parent.meterPosition(t.$parent.meter.rms) + "%"}
+                }), n("div", {
+                    staticClass: "meter__peak",
+                    style: {left: t.$parent.meterPosition(t.$parent.meter.peak) + "%"}
+                })]), n("button", {
+                    staticClass: "meter__clip",
+                    class: {"is-active": t.$parent.meter.clipped},
+                    attrs: {title: t.$t("clipResetLabel"), tabindex: "-1"},
+                    on: {click: t.$parent.meterClipClickHandler}
+                }, [t._v(t._s(t.$t("clipLabel")))])]), t.$parent.tabDegraded ? n("section", {
+                    staticClass: "degraded",
+                    attrs: {title: t.$parent.degradedOrigins.join("\n")}
+                }, [t._v(t._s(t.$t("degradedMessage")))]) : t._e(), t.$parent.captureError ? n("section", {staticClass: "degraded capture-error"}, [t._v(t._s(t.$t(t.$parent.captureErrorMessages[t.$parent.captureError])) + " "), "restricted" !== t.$parent.captureError && "notInvoked" !== t.$parent.captureError ? n("a", {
+                    staticClass: "link",
+                    attrs: {href: "#"},
+                    on: {click: t.$parent.captureRetryClickHandler}
+                }, [t._v(t._s(t.$t("captureRetryLabel")))]) : t._e()]) : t._e(), t.$parent.mediaElements.length > 1 ? n("section", {staticClass: "media"}, [n("div", {staticClass: "media__title"}, [t._v(t._s(t.$t("mediaLabel")))]), t._l(t.$parent.mediaElements, (function (e) {
+                    return n("div", {key: e.id, staticClass: "media__item"}, [n("div", {staticClass: "media__thumbnail"}, [e.thumbnail ? n("img", {
+                        staticClass: "media__thumbnail-image",
+                        attrs: {src: e.thumbnail, alt: ""}
+                    }) : n("span", [t._v(t._s("video" === e.kind ? "\u25b6" : "\u266a"))])]), n("div", {staticClass: "media__body"}, [n("div", {
+                        staticClass: "media__name",
+                        attrs: {title: e.title}
+                    }, [t._v(t._s(e.title))]), n("div", {staticClass: "media__state"}, [t._v(t._s(t.$t(e.paused ? "mediaPausedLabel" : "mediaPlayingLabel")) + " \u00b7 " + t._s(t.$parent.formatTime(e.currentTime)) + t._s(null !== e.duration ? " / " + t.$parent.formatTime(e.duration) : ""))]), n("div", {staticClass: "mixer__controls media__controls"}, [n("button", {
+                        staticClass: "mixer__mute",
+                        class: {"is-active": 0 === e.volume},
+                        attrs: {title: t.$t(0 === e.volume ? "unmuteLabel" : "muteLabel")},
+                        on: {
+                            click: function (n) {
+                                return t.$parent.mediaMuteClickHandler(e)
+                            }
+                        }
+                    }, [n("img", {attrs: {src: "mute.png", alt: ""}})]), n("input", {
+                        staticClass: "mixer__slider",
+                        // Elements outside the Web Audio graph can only be turned down
+                        attrs: {type: "range", min: "0", max: e.boostable ? t.$parent.sliderMax : 100, step: t.$parent.sliderStep},
+                        domProps: {value: e.volume},
+                        on: {
+                            input: function (n) {
+                                return t.$parent.mediaVolumeInputHandler(e, n)
+                            }
+                        }
+                    }), n("span", {staticClass: "media__volume"}, [t._v(t._s(e.volume) + " %")])])])])
+                }))], 2) : t._e(), n("section", {staticClass: "stereo"}, [n("div", {staticClass: "stereo__balance"}, [n("span", {staticClass: "stereo__side"}, [t._v(t._s(t.$t("balanceLeft")))]), n("input", {
+                    staticClass: "stereo__slider",
+                    attrs: {type: "range", min: -100, max: 100, step: 5, title: t.$t("balanceLabel")},
+                    domProps: {value: t.$parent.stereo.balance},
+                    on: {
+                        input: t.$parent.stereoBalanceInputHandler,
+                        change: t.$parent.saveStereo,
+                        dblclick: t.$parent.stereoBalanceResetHandler
+                    }
+                }), n("span", {staticClass: "stereo__side"}, [t._v(t._s(t.$t("balanceRight")))])]), n("div", {staticClass: "stereo__options"}, [n("label", [n("input", {
+                    attrs: {type: "checkbox"},
+                    domProps: {checked: t.$parent.stereo.mono},
+                    on: {change: t.$parent.stereoMonoChangeHandler}
+                }), t._v(" " + t._s(t.$t("monoLabel")))]), t._v(" "), n("label", [n("input", {
+                    attrs: {type: "checkbox", disabled: t.$parent.stereo.mono},
+                    domProps: {checked: t.$parent.stereo.swap},
+                    on: {change: t.$parent.stereoSwapChangeHandler}
+                }), t._v(" " + t._s(t.$t("swapLabel")))])])]), n("section", {staticClass: "site-volume"}, [n("label", {staticClass: "site-volume__label"}, [n("input", {
+                    attrs: {type: "checkbox", disabled: !t.$parent.siteHost},
+                    domProps: {checked: t.$parent.useGlobalVolume},
+                    on: {change: t.$parent.useGlobalVolumeChangeHandler}
+                }), t._v(" " + t._s(t.$t("useGlobalVolumeLabel")))]), t.$parent.siteHost ? n("div", {staticClass: "site-volume__host"}, [t._v(t._s(t.$t("siteVolumeLabel", {host: t.$parent.siteHost})))]) : t._e()]), n("details", {staticClass: "panel"}, [n("summary", {staticClass: "panel__title"}, [t._v(t._s(t.$t("autoLevelTitle")))]), n("label", {staticClass: "panel__toggle"}, [n("input", {
+                    attrs: {type: "checkbox"},
+                    domProps: {checked: t.$parent.autoLevel.enabled},
+                    on: {change: t.$parent.autoLevelEnabledChangeHandler}
+                }), t._v(" " + t._s(t.$t("autoLevelEnabledLabel")))]), n("label", {staticClass: "panel__row"}, [n("span", {staticClass: "panel__label"}, [t._v(t._s(t.$t("autoLevelTargetLabel")))]), n("input", {
+                    staticClass: "panel__slider",
+                    attrs: {type: "range", min: -30, max: -6, step: 1, disabled: !t.$parent.autoLevel.enabled},
+                    domProps: {value: t.$parent.autoLevel.target},
+                    on: {input: t.$parent.autoLevelTargetInputHandler, change: t.$parent.saveAutoLevel}
+                }), n("span", {staticClass: "panel__value"}, [t._v(t._s(t.$parent.autoLevel.target) + " LUFS")])]), n("p", {staticClass: "panel__hint"}, [t._v(t._s(t.$t("autoLevelHint")))])]), n("details", {staticClass: "panel"}, [n("summary", {staticClass: "panel__title"}, [t._v(t._s(t.$t("limiterTitle")))]), n("label", {staticClass: "panel__toggle"}, [n("input", {
+                    attrs: {type: "checkbox"},
+                    domProps: {checked: t.$parent.limiter.enabled},
+                    on: {change: t.$parent.limiterEnabledChangeHandler}
+                }), t._v(" " + t._s(t.$t("limiterEnabledLabel")))]), t._l(t.$parent.limiterControls, (function (e) {
+                    return n("label", {key: e.key, staticClass: "panel__row"}, [n("span", {staticClass: "panel__label"}, [t._v(t._s(t.$t(e.label)))]), n("input", {
+                        staticClass: "panel__slider",
+                        attrs: {type: "range", min: e.min, max: e.max, step: e.step, disabled: !t.$parent.limiter.enabled},
+                        domProps: {value: t.$parent.limiter[e.key]},
+                        on: {
+                            input: function (n) {
+                                return t.$parent.limiterValueInputHandler(e.key, n)
+                            }, change: t.$parent.saveLimiter
+                        }
+                    }), n("span", {staticClass: "panel__value"}, [t._v(t._s(t.$parent.limiter[e.key]) + " " + e.unit)])])
+                })), n("label", {staticClass: "panel__toggle"}, [n("input", {
+                    attrs: {type: "checkbox"},
+                    domProps: {checked: t.$parent.clipBadge},
+                    on: {change: t.$parent.clipBadgeChangeHandler}
+                }), t._v(" " + t._s(t.$t("clipBadgeLabel")))])], 2), n("details", {staticClass: "panel"}, [n("summary", {staticClass: "panel__title"}, [t._v(t._s(t.$t("eqTitle")))]), n("label", {staticClass: "panel__toggle"}, [n("input", {
+                    attrs: {type: "checkbox"},
+                    domProps: {checked: t.$parent.eq.enabled},
+                    on: {change: t.$parent.eqEnabledChangeHandler}
+                }), t._v(" " + t._s(t.$t("eqEnabledLabel")))]), n("label", {staticClass: "panel__toggle"}, [n("input", {
+                    attrs: {type: "checkbox", disabled: !t.$parent.siteHost},
+                    domProps: {checked: t.$parent.eqSiteOnly},
+                    on: {change: t.$parent.eqSiteOnlyChangeHandler}
+                }), t._v(" " + t._s(t.$t("eqSiteOnlyLabel")))]), n("label", {staticClass: "panel__row"}, [n("span", {staticClass: "panel__label"}, [t._v(t._s(t.$t("eqPresetLabel")))]), n("select", {
+                    staticClass: "panel__select",
+                    attrs: {disabled: !t.$parent.eq.enabled},
+                    on: {change: t.$parent.eqPresetChangeHandler}
+                }, t._l(t.$parent.eqPresets, (function (e) {
+                    return n("option", {
+                        key: e,
+                        attrs: {disabled: "custom" === e},
+                        domProps: {value: e, selected: e === t.$parent.eq.preset}
+                    }, [t._v(t._s(t.$t("eqPreset_" + e)))])
+                })), 0)]), n("div", {staticClass: "eq"}, t._l(t.$parent.eqBands, (function (e, i) {
+                    return n("label", {key: e, staticClass: "eq__band"}, [n("input", {
+                        staticClass: "eq__slider",
+                        attrs: {type: "range", orient: "vertical", min: -12, max: 12, step: 1, disabled: !t.$parent.eq.enabled},
+                        domProps: {value: t.$parent.eq.gains[i]},
+                        on: {
+                            input: function (n) {
+                                return t.$parent.eqGainInputHandler(i, n)
+                            }, change: t.$parent.saveEq
+                        }
+                    }), n("span", {staticClass: "eq__frequency"}, [t._v(t._s(e >= 1e3 ? e / 1e3 + "k" : e))])])
+                })), 0)]), n("section", {staticClass: "tabs"}, [t.$parent.audibleTabs.length ? n("div", {staticClass: "tabs__title"}, [t._v(t._s(t.$t("tabsLabel")))]) : n("div", {staticClass: "tabs__title"}, [t._v(t._s(t.$t("noTabsLabel")))]), t._l(t.$parent.audibleTabs, (function (e) {
+                    return n("div", {key: e.id, staticClass: "tabs__list mixer"}, [n("a", {
                         staticClass: "tab",
                         attrs: {href: "#"},
                         on: {
@@ -123,13 +246,41 @@
                     }, [n("div", {staticClass: "tab__item tab__icon"}, [n("img", {
                         staticClass: "tab__icon-image",
                         attrs: {src: e.favIconUrl, alt: ""}
-                    })]), n("div", {staticClass: "tab__item tab__title"}, [t._v(t._s(e.title))])])])
+                    })]), n("div", {staticClass: "tab__item tab__title"}, [t._v(t._s(e.title))]), n("div", {staticClass: "tab__item tab__volume"}, [t._v(t._s(e.volume) + " %")])]), n("div", {staticClass: "mixer__controls"}, [n("button", {
+                        staticClass: "mixer__mute",
+                        class: {"is-active": 0 === e.volume},
+                        attrs: {title: t.$t(0 === e.volume ? "unmuteLabel" : "muteLabel"), disabled: e.uncaptured},
+                        on: {
+                            click: function (n) {
+                                return t.$parent.mixerMuteClickHandler(e)
+                            }
+                        }
+                    }, [n("img", {attrs: {src: "mute.png", alt: ""}})]), n("input", {
+                        staticClass: "mixer__slider",
+                        attrs: {type: "range", min: "0", max: t.$parent.sliderMax, step: t.$parent.sliderStep, disabled: e.uncaptured},
+                        domProps: {value: e.volume},
+                        on: {
+                            input: function (n) {
+                                return t.$parent.mixerVolumeInputHandler(e, n)
+                            }
+                        }
+                    })]), e.uncaptured ? n("div", {staticClass: "mixer__note"}, [t._v(t._s(t.$t("mixerNotCapturedLabel")))]) : n("div", {staticClass: "meter__bar mixer__meter"}, [n("div", {
+                        staticClass: "meter__rms",
+                        style: {width: t.$parent.meterPosition(e.meter.rms) + "%"}
+                    }), n("div", {
+                        staticClass: "meter__peak",
+                        style: {left: t.$parent.meterPosition(e.meter.peak) + "%"}
+                    })])])
                 }))], 2), n("footer", {staticStyle: {width: "100%"}}, [n("span", {staticStyle: {float: "left"}}, [n("a", {
                     attrs: {
                         href: "https://addons.mozilla.org/firefox/addon/600-sound-volume/",
                         target: "_blank"
                     }
-                })])])])
+                })]), n("span", {staticStyle: {float: "right"}}, [n("a", {
+                    staticClass: "link footer__options",
+                    attrs: {href: "#", tabindex: "-1"},
+                    on: {click: t.$parent.optionsClickHandler}
+                }, [t._v(t._s(t.$t("optionsLabel")))])])])])
             }, o = [], s = {name: "App"}, r = s, l = n("2877"), u = Object(l["a"])(r, a, o, !1, null, null, null),
             c = u.exports, d = (n("159b"), n("d3b7"), n("ddb0"), n("ac1f"), n("466d"), n("a925"));
         i["a"].use(d["a"]);
@@ -158,8 +309,42 @@
             el: "#app",
             data: {
                 soundVolume: 100,
+                siteHost: null,
+                useGlobalVolume: !1,
+                limiter: {enabled: !0, threshold: -3, ratio: 20, attack: 1, release: 100},
+                limiterControls: [
+                    {key: "threshold", label: "limiterThresholdLabel", min: -30, max: 0, step: .5, unit: "dB"},
+                    {key: "ratio", label: "limiterRatioLabel", min: 1, max: 20, step: 1, unit: ": 1"},
+                    {key: "attack", label: "limiterAttackLabel", min: 0, max: 100, step: 1, unit: "ms"},
+                    {key: "release", label: "limiterReleaseLabel", min: 10, max: 1000, step: 10, unit: "ms"}
+                ],
+                stereo: {balance: 0, mono: !1, swap: !1},
+                autoLevel: {enabled: !1, target: -16},
+                meter: {peak: 0, rms: 0, clipped: !1},
+                tabDegraded: !1,
+                captureError: null,
+                captureErrorMessages: {
+                    busy: "captureBusyMessage",
+                    restricted: "captureRestrictedMessage",
+                    failed: "captureFailedMessage",
+                    notInvoked: "captureNotInvokedMessage"
+                },
+                degradedOrigins: [],
+                meterPort: null,
+                mixerPorts: {},
+                mediaPort: null,
+                mediaFrames: {},
+                mediaElements: [],
+                clipBadge: !0,
+                sliderStep: 10,
+                sliderMax: 600,
+                eq: {enabled: !0, preset: "flat", gains: window.AudioGraph.EQ_PRESETS.flat.slice()},
+                eqSiteOnly: !1,
+                eqBands: window.AudioGraph.EQ_BANDS,
+                eqPresets: Object.keys(window.AudioGraph.EQ_PRESETS).concat("custom"),
                 audibleTabs: [],
                 tabId: null,
+                invokedTabId: null,
                 notificationTitle: null,
                 notificationMessage: null,
                 notificationId: null,
@@ -200,36 +385,230 @@
                             window.console.warn(i)
                         }
                     }))
+                }, applySoundVolume: function () {
+                    var t = this;
+                    this.audibleTabs.forEach((function (e) {
+                        e.id === t.tabId && (e.volume = Number(t.soundVolume))
+                    }));
+                    // The background script owns the tab's volume and relays it to every frame
+                    this.tabId !== null && m().runtime.sendMessage({
+                        action: "setTabVolume",
+                        tabId: this.tabId,
+                        data: {soundVolume: Number(this.soundVolume)}
+                    }, (function () {
+                        window.lastError = m().runtime.lastError
+                    }))
                 }, setSoundVolume: function (t) {
-                    this.soundVolume = t, m().storage.local.set({savedVolume: t})
+                    var e = this;
+                    this.soundVolume = Number(t);
+                    // Sites without their own entry follow the global default
+                    if (this.useGlobalVolume || !this.siteHost) {
+                        window.Settings.set({savedVolume: this.soundVolume});
+                        return;
+                    }
+                    window.Settings.get("siteVolumes", (function (r) {
+                        r.siteVolumes[e.siteHost] = e.soundVolume, window.Settings.set({siteVolumes: r.siteVolumes})
+                    }))
+                }, loadSliderSettings: function () {
+                    var t = this;
+                    window.Settings.get(["sliderStep", "sliderMax"], (function (e) {
+                        t.sliderStep = e.sliderStep, t.sliderMax = e.sliderMax
+                    }))
+                }, loadSiteVolume: function (t) {
+                    var e = this;
+                    m().tabs.query({currentWindow: !0, active: !0}, (function (n) {
+                        var i = "";
+                        try {
+                            i = n.length > 0 ? new URL(n[0].url).hostname : ""
+                        } catch (a) {
+                        }
+                        e.siteHost = i || null, e.tabId = n.length > 0 ? n[0].id : null;
+                        window.Settings.get("siteVolumes", (function (r) {
+                            e.useGlobalVolume = !e.siteHost || !(e.siteHost in r.siteVolumes);
+                            // The tab's current level comes from the background script
+                            m().runtime.sendMessage({action: "getTabVolume", tabId: e.tabId}, (function (o) {
+                                window.lastError = m().runtime.lastError;
+                                var a = Number(o ? o.soundVolume : 100);
+                                e.soundVolume = isNaN(a) ? 100 : a;
+                                // Update slider value in DOM
+                                var slider = document.getElementById("volume-slider");
+                                if (slider) {
+                                    slider.value = e.soundVolume;
+                                }
+                                t && t()
+                            }))
+                        }))
+                    }))
+                }, useGlobalVolumeChangeHandler: function (t) {
+                    var e = this, n = t.target.checked;
+                    window.Settings.get(["savedVolume", "siteVolumes"], (function (r) {
+                        if (n) {
+                            // Drop the site entry and fall back to the global default
+                            delete r.siteVolumes[e.siteHost], e.useGlobalVolume = !0, e.soundVolume = r.savedVolume;
+                        } else {
+                            r.siteVolumes[e.siteHost] = Number(e.soundVolume), e.useGlobalVolume = !1;
+                        }
+                        window.Settings.set({siteVolumes: r.siteVolumes}), e.applySoundVolume()
+                    }))
+                }, loadTabStatus: function () {
+                    var t = this;
+                    m().runtime.sendMessage({action: "getTabStatus", tabId: this.tabId}, (function (e) {
+                        window.lastError = m().runtime.lastError;
+                        t.tabDegraded = !!e && e.degraded, t.degradedOrigins = e ? e.origins : []
+                    }))
+                }, connectMeter: function (t, e) {
+                    // One long-lived port per watched tab; the background streams its levels
+                    var n = m().runtime.connect({name: "meter"});
+                    return n.onMessage.addListener(e), n.postMessage({action: "watchTab", tabId: t}), n
+                }, startTabCapture: function () {
+                    var t = this, e = this.tabId === this.invokedTabId;
+                    // Chrome captures the tab's audio; opening the popup is the user action that allows it,
+                    // for the tab it was opened on only. Other tabs just report their capture.
+                    this.tabId !== null && m().runtime.sendMessage({action: e ? "startTabCapture" : "getTabCapture", tabId: this.tabId}, (function (n) {
+                        window.lastError = m().runtime.lastError;
+                        t.captureError = !n || "active" === n.state || "starting" === n.state ? null : e && "failed" === n.state ? n.error : "notInvoked";
+                        // The meters were connected before the capture existed
+                        e && n && "active" === n.state && (t.watchMeter(), t.loadMixer())
+                    }))
+                }, captureRetryClickHandler: function (t) {
+                    t.preventDefault(), this.startTabCapture()
+                }, watchMeter: function () {
+                    var t = this;
+                    this.meterPort && this.meterPort.disconnect(), this.meter = {peak: 0, rms: 0, clipped: !1};
+                    this.meterPort = this.connectMeter(this.tabId, (function (e) {
+                        t.meter.peak = e.peak, t.meter.rms = e.rms, t.meter.clipped = e.clipped
+                    }))
+                }, watchMedia: function () {
+                    var t = this;
+                    // Every frame of the tab answers on the same port with its own elements
+                    if (this.mediaPort && this.mediaPort.disconnect(), this.mediaPort = null, this.mediaFrames = {}, this.mediaElements = [], null !== this.tabId) {
+                        try {
+                            this.mediaPort = m().tabs.connect(this.tabId, {name: "media"})
+                        } catch (e) {
+                            return void window.console.warn(e)
+                        }
+                        this.mediaPort.onMessage.addListener((function (e) {
+                            t.mediaFrames[e.frame] = {elements: e.elements, time: Date.now()}, t.updateMediaElements()
+                        }))
+                    }
+                }, updateMediaElements: function () {
+                    var t = this, e = Date.now() - 2e3;
+                    // Frames that navigated away or were removed stop answering
+                    Object.keys(this.mediaFrames).forEach((function (n) {
+                        t.mediaFrames[n].time < e && delete t.mediaFrames[n]
+                    })), this.mediaElements = Object.keys(this.mediaFrames).reduce((function (e, n) {
+                        return e.concat(t.mediaFrames[n].elements)
+                    }), [])
+                }, setMediaVolume: function (t, e) {
+                    t.volume = e, this.mediaPort && this.mediaPort.postMessage({action: "setElementVolume", id: t.id, volume: e})
+                }, mediaVolumeInputHandler: function (t, e) {
+                    this.setMediaVolume(t, Number(e.target.value))
+                }, mediaMuteClickHandler: function (t) {
+                    this.setMediaVolume(t, 0 === t.volume ? 100 : 0)
+                }, formatTime: function (t) {
+                    var e = Math.floor(t / 3600), n = Math.floor(t % 3600 / 60), i = Math.floor(t % 60);
+                    return (e > 0 ? e + ":" + (n < 10 ? "0" : "") : "") + n + ":" + (i < 10 ? "0" : "") + i
+                }, meterPosition: function (t) {
+                    // -60 dBFS .. +6 dBFS across the bar
+                    var e = t > 0 ? 20 * Math.log10(t) : -60;
+                    return Math.max(0, Math.min(100, (e + 60) / 66 * 100))
+                }, meterClipClickHandler: function () {
+                    this.meter.clipped = !1, this.meterPort && this.meterPort.postMessage({action: "resetClip", tabId: this.tabId})
+                }, clipBadgeChangeHandler: function (t) {
+                    this.clipBadge = t.target.checked, window.Settings.set({clipBadge: this.clipBadge})
+                }, loadAutoLevel: function () {
+                    var t = this;
+                    window.Settings.get("autoLevel", (function (e) {
+                        t.autoLevel = Object.assign({}, t.autoLevel, e.autoLevel)
+                    }))
+                }, saveAutoLevel: function () {
+                    window.Settings.set({autoLevel: Object.assign({}, this.autoLevel)})
+                }, autoLevelEnabledChangeHandler: function (t) {
+                    this.autoLevel.enabled = t.target.checked, this.saveAutoLevel()
+                }, autoLevelTargetInputHandler: function (t) {
+                    this.autoLevel.target = Number(t.target.value)
+                }, loadLimiter: function () {
+                    var t = this;
+                    window.Settings.get(["limiter", "clipBadge"], (function (e) {
+                        t.limiter = Object.assign({}, t.limiter, e.limiter), t.clipBadge = e.clipBadge
+                    }))
+                }, saveLimiter: function () {
+                    // Content scripts and the background pick this up through storage.onChanged
+                    window.Settings.set({limiter: Object.assign({}, this.limiter)})
+                }, limiterEnabledChangeHandler: function (t) {
+                    this.limiter.enabled = t.target.checked, this.saveLimiter()
+                }, limiterValueInputHandler: function (t, e) {
+                    this.limiter[t] = Number(e.target.value)
+                }, loadStereo: function () {
+                    var t = this;
+                    window.Settings.get("stereo", (function (e) {
+                        t.stereo = Object.assign({}, t.stereo, e.stereo)
+                    }))
+                }, saveStereo: function () {
+                    window.Settings.set({stereo: Object.assign({}, this.stereo)})
+                }, stereoBalanceInputHandler: function (t) {
+                    this.stereo.balance = Number(t.target.value)
+                }, stereoBalanceResetHandler: function () {
+                    // Double click re-centres the balance
+                    this.stereo.balance = 0, this.saveStereo()
+                }, stereoMonoChangeHandler: function (t) {
+                    this.stereo.mono = t.target.checked, this.saveStereo()
+                }, stereoSwapChangeHandler: function (t) {
+                    this.stereo.swap = t.target.checked, this.saveStereo()
+                }, loadEq: function () {
+                    var t = this;
+                    window.Settings.get(["eq", "siteEq"], (function (e) {
+                        var n = window.AudioGraph.resolveEq(e, t.siteHost);
+                        t.eqSiteOnly = !!t.siteHost && t.siteHost in e.siteEq;
+                        t.eq = {enabled: n.enabled, preset: n.preset, gains: n.gains.slice()}
+                    }))
+                }, saveEq: function () {
+                    var t = this, e = {enabled: this.eq.enabled, preset: this.eq.preset, gains: this.eq.gains.slice()};
+                    if (!this.eqSiteOnly || !this.siteHost) {
+                        window.Settings.set({eq: e});
+                        return;
+                    }
+                    window.Settings.get("siteEq", (function (n) {
+                        n.siteEq[t.siteHost] = e, window.Settings.set({siteEq: n.siteEq})
+                    }))
+                }, eqEnabledChangeHandler: function (t) {
+                    this.eq.enabled = t.target.checked, this.saveEq()
+                }, eqSiteOnlyChangeHandler: function (t) {
+                    var e = this;
+                    if (t.target.checked) {
+                        // Start the site entry from the curve currently shown
+                        this.eqSiteOnly = !0, this.saveEq();
+                        return;
+                    }
+                    window.Settings.get("siteEq", (function (n) {
+                        delete n.siteEq[e.siteHost], window.Settings.set({siteEq: n.siteEq}, e.loadEq)
+                    }))
+                }, eqPresetChangeHandler: function (t) {
+                    var e = window.AudioGraph.EQ_PRESETS[t.target.value];
+                    e && (this.eq.preset = t.target.value, this.eq.gains = e.slice(), this.saveEq())
+                }, eqGainInputHandler: function (t, e) {
+                    this.eq.gains.splice(t, 1, Number(e.target.value)), this.eq.preset = "custom"
                 }, soundValueChangeHandler: function (t) {
-                    this.setSoundVolume(t.target.value), this.sendToActiveTab("changeSoundVolume")
+                    this.setSoundVolume(t.target.value), this.applySoundVolume()
                 }, soundValueInputHandler: function (t) {
-                    this.soundVolume = t.target.value, this.sendToActiveTab("changeSoundVolume")
+                    this.soundVolume = t.target.value, this.applySoundVolume()
                 }, button100ClickHandler: function () {
-                    this.setSoundVolume(100), this.sendToActiveTab("changeSoundVolume")
+                    this.setSoundVolume(100), this.applySoundVolume()
                 }, buttonMuteClickHandler: function () {
-                    this.setSoundVolume(0), this.sendToActiveTab("changeSoundVolume")
+                    this.setSoundVolume(0), this.applySoundVolume()
                 }, buttonNotificationCloseClickHandler: function () {
                     var t = this;
-                    document.getElementById("notification").classList.remove("is-active"), m().storage.local.get({
-                        installationDate: null,
-                        used: []
-                    }, (function (e) {
-                        t.notificationId && !e.used.includes(t.notificationId) && (e.used.push(t.notificationId), m().storage.local.set(e))
+                    document.getElementById("notification").classList.remove("is-active"), window.Settings.get("used", (function (e) {
+                        t.notificationId && !e.used.includes(t.notificationId) && (e.used.push(t.notificationId), window.Settings.set(e))
                     }))
+                }, optionsClickHandler: function (t) {
+                    t.preventDefault(), m().runtime.openOptionsPage(), window.close()
                 }, audibleTabsClickHandler: function (t) {
                     m().tabs.update(t.id, {active: !0}, this.updateSoundVolume)
                 }, updateSoundVolume: function () {
                     var t = this;
-                    this.sendToActiveTab("getSoundVolume", (function (e) {
-                        if (e && e.soundVolume >= 0) {
-                            t.setSoundVolume(e.soundVolume)
-                        } else {
-                            m().storage.local.get({savedVolume: 100}, (function (r) {
-                                t.setSoundVolume(r.savedVolume)
-                            }))
-                        }
+                    this.loadSiteVolume((function () {
+                        t.startTabCapture(), t.loadEq(), t.loadTabStatus(), t.watchMeter(), t.watchMedia()
                     }))
                 }, listAudible: function () {
                     var t = this;
@@ -237,16 +616,59 @@
                         var n = function (t, e) {
                             return t.title && e.title ? t.title.localeCompare(e.title) : 0
                         };
-                        e.sort(n), t.audibleTabs = e
+                        // Rows of tabs that stay audible keep their level until it is reloaded
+                        e.sort(n), e.forEach((function (e) {
+                            var n = t.audibleTabs.find((function (t) {
+                                return t.id === e.id
+                            }));
+                            e.volume = n ? n.volume : 100, e.meter = n ? n.meter : {peak: 0, rms: 0}, e.uncaptured = !!n && n.uncaptured
+                        })), t.audibleTabs = e, t.loadMixer()
+                    }))
+                }, loadMixer: function () {
+                    var t = this;
+                    this.audibleTabs.forEach((function (e) {
+                        m().runtime.sendMessage({action: "getTabVolume", tabId: e.id}, (function (t) {
+                            window.lastError = m().runtime.lastError, t && (e.volume = Number(t.soundVolume))
+                        }));
+                        // In Chrome only captured tabs have a volume (and levels) to show
+                        m().runtime.sendMessage({action: "getTabCapture", tabId: e.id}, (function (n) {
+                            window.lastError = m().runtime.lastError, e.uncaptured = !!n && "active" !== n.state;
+                            e.uncaptured || t.mixerPorts[e.id] || (t.mixerPorts[e.id] = t.connectMeter(e.id, (function (t) {
+                                e.meter.peak = t.peak, e.meter.rms = t.rms
+                            })))
+                        }))
+                    }));
+                    // Stop watching tabs that went quiet or were closed
+                    Object.keys(this.mixerPorts).forEach((function (e) {
+                        t.audibleTabs.some((function (t) {
+                            return String(t.id) === e
+                        })) || (t.mixerPorts[e].disconnect(), delete t.mixerPorts[e])
+                    }))
+                }, setMixerVolume: function (t, e) {
+                    // Like the keyboard commands, the mixer never changes the saved site or default volume
+                    t.volume = e, t.id === this.tabId && (this.soundVolume = e), m().runtime.sendMessage({
+                        action: "setTabVolume",
+                        tabId: t.id,
+                        data: {soundVolume: e}
+                    }, (function () {
+                        window.lastError = m().runtime.lastError
+                    }))
+                }, mixerVolumeInputHandler: function (t, e) {
+                    this.setMixerVolume(t, Number(e.target.value))
+                }, mixerMuteClickHandler: function (t) {
+                    var e = this;
+                    m().runtime.sendMessage({action: "toggleTabMute", tabId: t.id}, (function (n) {
+                        window.lastError = m().runtime.lastError, n && (t.volume = n.soundVolume, t.id === e.tabId && (e.soundVolume = n.soundVolume))
                     }))
                 }, initNotification: function () {
                     var t = this;
-                    m().storage.local.get({usageCounter: 0, used: [], permittedToShowBanner: -1}, (function (e) {
-                        e.usageCounter++, m().storage.local.set(e);
-                        var n = t.notifications.filter((function (t) {
+                    window.Settings.get(["usageCounter", "used", "showTips"], (function (e) {
+                        e.usageCounter++, window.Settings.set({usageCounter: e.usageCounter});
+                        // Tips can be turned off on the options page
+                        var n = e.showTips ? t.notifications.filter((function (t) {
                             var n = t.minUsages < e.usageCounter, i = !e.used.includes(t.id);
                             return n && i
-                        })), i = n.sort((function (t, e) {
+                        })) : [], i = n.sort((function (t, e) {
                             return t.priority - e.priority
                         })), a = i.length > 0 ? i[0] : null;
                         t.notificationTitle = a ? a["title"] : null, t.notificationMessage = a ? a["message"] : null, t.notificationId = a ? a.id : null, t.notificationMessage && document.getElementById("notification").classList.add("is-active")
@@ -254,16 +676,12 @@
                 }, init: function () {
                     var t = this;
                     try {
-                        m().storage.local.get({savedVolume: 100}, (function (r) {
-                            t.soundVolume = Number(r.savedVolume);
-                            // Update slider value in DOM
-                            var slider = document.getElementById("volume-slider");
-                            if (slider) {
-                                slider.value = t.soundVolume;
-                            }
-                            t.sendToActiveTab("changeSoundVolume");
+                        this.loadSliderSettings(), this.loadSiteVolume((function () {
+                            t.invokedTabId = t.tabId, t.startTabCapture(), t.applySoundVolume(), t.loadEq(), t.loadTabStatus(), t.watchMeter(), t.watchMedia();
                         }));
-                        this.listAudible(), document.getElementById("volume-slider").focus(), this.initNotification(), document.addEventListener("keydown", (function (e) {
+                        this.loadStereo(), this.loadAutoLevel(), this.loadLimiter(), this.listAudible(), m().tabs.onUpdated.addListener((function (e, n) {
+                            "audible" in n && t.listAudible()
+                        })), document.getElementById("volume-slider").focus(), this.initNotification(), document.addEventListener("keydown", (function (e) {
                             // Support both regular number keys (0-6) and numpad keys (Numpad0-6)
                             var n = -1;
                             // e.key returns the character for both regular and numpad keys
@@ -284,8 +702,8 @@
                             }
                             if (n >= 0 && n <= 6) {
                                 e.preventDefault();
-                                t.setSoundVolume(100 * n);
-                                t.sendToActiveTab("changeSoundVolume");
+                                t.setSoundVolume(Math.min(100 * n, t.sliderMax));
+                                t.applySoundVolume();
                             }
                         }));
                         for (var e = document.getElementsByClassName("advert"), n = e.item(Math.round(Math.random() * (e.length - 1))), i = 0; i < e.length; i++) e.item(i) !== n && e.item(i).parentNode.removeChild(e.item(i))
@@ -299,9 +717,9 @@
             }
         }).$mount("#app");
     }, 7704: function (t) {
-        t.exports = JSON.parse('{"headerTitle":"Громкость Звука 600%","headerDescription":"Регулируйте громкость звука текущей вкладки ползунком. Переключайтесь на любую вкладку со звуком одним кликом.","volumeLabel":"Громкость:","tabsLabel":"Вкладки со звуком","noTabsLabel":"Вкладок со звуком нет","rateItLabel":"Оценить!","if_you_like_title":"","if_you_like_message":"Если нравится \\"Громкость звука 600%\\", пожалуйста, оцените это расширение здесь <a href=\\"https://addons.mozilla.org/firefox/addon/600-sound-volume/\\" target=\\"_blank\\" tabindex=\\"-1\\">Firefox Browser Add-ons</a>. Спасибо за ваш отзыв и хорошего дня!","ctrl_shift_v_title":"Совет: Сочетание клавиш","ctrl_shift_v_message":"<strong>Ctrl+Shift+6</strong> - сочетание клавиш для открытия \\"600% Sound Volume\\".","right_after_opening_title":"Совет: используйте клавиши 0 - 6 для регулировки громкости","right_after_opening_message":"Сразу после открытия \\"Громкость звука 600%\\" нажимайте клавиши 0&nbsp;-&nbsp;6 , чтобы изменить громкость с 0&nbsp;% до 600&nbsp;% соответственно.","volume_up_down_title":"Совет: Регулируйте громкость с помощью клавиш со стрелками","volume_up_down_message":"Сразу после открытия \\"Громкость звука 600%\\" нажимайте:<ul><li>&#x2b06;&#xfe0f; или &#x27a1;&#xfe0f; для увеличения громкости</li><li>&#x2b07;&#xfe0f; или &#x2b05;&#xfe0f; для уменьшения громкости</li></ul>","buy_headsets":"Или купить наушники","buy_headphone_amplifier":"Купить усилитель наушников"}')
+        t.exports = JSON.parse('{"headerTitle":"Громкость Звука 600%","headerDescription":"Регулируйте громкость звука текущей вкладки ползунком. Переключайтесь на любую вкладку со звуком одним кликом.","volumeLabel":"Громкость:","tabsLabel":"Вкладки со звуком","noTabsLabel":"Вкладок со звуком нет","rateItLabel":"Оценить!","if_you_like_title":"","if_you_like_message":"Если нравится \\"Громкость звука 600%\\", пожалуйста, оцените это расширение здесь <a href=\\"https://addons.mozilla.org/firefox/addon/600-sound-volume/\\" target=\\"_blank\\" tabindex=\\"-1\\">Firefox Browser Add-ons</a>. Спасибо за ваш отзыв и хорошего дня!","ctrl_shift_v_title":"Совет: Сочетание клавиш","ctrl_shift_v_message":"<strong>Ctrl+Shift+6</strong> - сочетание клавиш для открытия \\"600% Sound Volume\\".","right_after_opening_title":"Совет: используйте клавиши 0 - 6 для регулировки громкости","right_after_opening_message":"Сразу после открытия \\"Громкость звука 600%\\" нажимайте клавиши 0&nbsp;-&nbsp;6 , чтобы изменить громкость с 0&nbsp;% до 600&nbsp;% соответственно.","volume_up_down_title":"Совет: Регулируйте громкость с помощью клавиш со стрелками","volume_up_down_message":"Сразу после открытия \\"Громкость звука 600%\\" нажимайте:<ul><li>&#x2b06;&#xfe0f; или &#x27a1;&#xfe0f; для увеличения громкости</li><li>&#x2b07;&#xfe0f; или &#x2b05;&#xfe0f; для уменьшения громкости</li></ul>","buy_headsets":"Или купить наушники","buy_headphone_amplifier":"Купить усилитель наушников","useGlobalVolumeLabel":"Использовать общую громкость по умолчанию на этом сайте","siteVolumeLabel":"Сайт: {host}","limiterTitle":"Лимитер","limiterEnabledLabel":"Предотвращать искажения на высокой громкости","limiterThresholdLabel":"Порог","limiterRatioLabel":"Степень","limiterAttackLabel":"Атака","limiterReleaseLabel":"Восстановление","eqTitle":"Эквалайзер","eqEnabledLabel":"Включить эквалайзер","eqSiteOnlyLabel":"Использовать эти настройки только на этом сайте","eqPresetLabel":"Пресет","eqPreset_flat":"Ровный","eqPreset_voice":"Чёткость голоса","eqPreset_bass":"Усиление басов","eqPreset_treble":"Срез высоких","eqPreset_custom":"Свой","balanceLabel":"Баланс (двойной щелчок — по центру)","balanceLeft":"Л","balanceRight":"П","monoLabel":"Моно","swapLabel":"Поменять каналы местами","autoLevelTitle":"Автоуровень","autoLevelEnabledLabel":"Выравнивать тихие и громкие фрагменты","autoLevelTargetLabel":"Цель","autoLevelHint":"Ползунок громкости по-прежнему действует поверх, до 600 %.","clipLabel":"CLIP","clipResetLabel":"Загорается, когда сигнал превышает полную шкалу. Нажмите, чтобы сбросить.","clipBadgeLabel":"Окрашивать значок в красный при перегрузке","degradedMessage":"Часть медиа на этой странице отдаётся без CORS и не может быть усилена. Она воспроизводится с громкостью не выше 100 %.","optionsLabel":"Настройки","muteLabel":"Выключить звук","unmuteLabel":"Включить звук","mediaLabel":"Плееры на этой странице","mediaPlayingLabel":"Воспроизводится","mediaPausedLabel":"Пауза","captureBusyMessage":"Звук этой вкладки уже захватывает другое расширение, поэтому громкость здесь изменить нельзя. Остановите его и попробуйте снова.","captureRestrictedMessage":"Браузер не разрешает захватывать звук на этой странице.","captureFailedMessage":"Не удалось захватить звук этой вкладки.","captureRetryLabel":"Попробовать снова","captureNotInvokedMessage":"Нажмите на значок расширения на той вкладке, чтобы включить там усиление.","mixerNotCapturedLabel":"Звук не захвачен: откройте окно расширения на той вкладке, чтобы менять её громкость"}')
     }, edd4: function (t) {
-        t.exports = JSON.parse('{"headerTitle":"600% Sound Volume","headerDescription":"Control volume of the current tab with the slider below. Switch to any tab playing audio with just one click.","volumeLabel":"Volume:","tabsLabel":"Tabs playing audio right now","noTabsLabel":"No tabs playing audio right now","rateItLabel":"Rate It!","if_you_like_title":"","if_you_like_message":"If you like \\"600% Sound Volume\\" please rate it on <a href=\\"https://addons.mozilla.org/firefox/addon/600-sound-volume/\\" target=\\"_blank\\" tabindex=\\"-1\\">Firefox Browser Add-ons</a> to let me know that. If you don\'t want to - it\'s ok. Thank you for your feedback and have a nice day!","ctrl_shift_v_title":"Tip: keyboard shortcut","ctrl_shift_v_message":"<strong>Ctrl+Shift+6</strong> is a shortcut to open \\"600% Sound Volume\\".","right_after_opening_title":"Tip: use keys 0 - 6 to adjust volume","right_after_opening_message":"Right after opening \\"600% Sound Volume\\" press keys 0&nbsp;-&nbsp;6 to change volume from 0&nbsp;% to 600&nbsp;% respectively.","volume_up_down_title":"Tip: adjust volume with arrow keys","volume_up_down_message":"Right after opening \\"600% Sound Volume\\" press:<ul><li>&#x2b06;&#xfe0f; or &#x27a1;&#xfe0f; to volume up</li><li>&#x2b07;&#xfe0f; or &#x2b05;&#xfe0f; to volume down</li></ul>","buy_headsets":"Or Buy Headsets","buy_headphone_amplifier":"Buy Headphone Amplifier"}')
+        t.exports = JSON.parse('{"headerTitle":"600% Sound Volume","headerDescription":"Control volume of the current tab with the slider below. Switch to any tab playing audio with just one click.","volumeLabel":"Volume:","tabsLabel":"Tabs playing audio right now","noTabsLabel":"No tabs playing audio right now","rateItLabel":"Rate It!","if_you_like_title":"","if_you_like_message":"If you like \\"600% Sound Volume\\" please rate it on <a href=\\"https://addons.mozilla.org/firefox/addon/600-sound-volume/\\" target=\\"_blank\\" tabindex=\\"-1\\">Firefox Browser Add-ons</a> to let me know that. If you don\'t want to - it\'s ok. Thank you for your feedback and have a nice day!","ctrl_shift_v_title":"Tip: keyboard shortcut","ctrl_shift_v_message":"<strong>Ctrl+Shift+6</strong> is a shortcut to open \\"600% Sound Volume\\".","right_after_opening_title":"Tip: use keys 0 - 6 to adjust volume","right_after_opening_message":"Right after opening \\"600% Sound Volume\\" press keys 0&nbsp;-&nbsp;6 to change volume from 0&nbsp;% to 600&nbsp;% respectively.","volume_up_down_title":"Tip: adjust volume with arrow keys","volume_up_down_message":"Right after opening \\"600% Sound Volume\\" press:<ul><li>&#x2b06;&#xfe0f; or &#x27a1;&#xfe0f; to volume up</li><li>&#x2b07;&#xfe0f; or &#x2b05;&#xfe0f; to volume down</li></ul>","buy_headsets":"Or Buy Headsets","buy_headphone_amplifier":"Buy Headphone Amplifier","useGlobalVolumeLabel":"Use the global default volume on this site","siteVolumeLabel":"Site: {host}","limiterTitle":"Limiter","limiterEnabledLabel":"Prevent clipping at high volume","limiterThresholdLabel":"Threshold","limiterRatioLabel":"Ratio","limiterAttackLabel":"Attack","limiterReleaseLabel":"Release","eqTitle":"Equalizer","eqEnabledLabel":"Enable equalizer","eqSiteOnlyLabel":"Use these settings only on this site","eqPresetLabel":"Preset","eqPreset_flat":"Flat","eqPreset_voice":"Voice clarity","eqPreset_bass":"Bass boost","eqPreset_treble":"Treble cut","eqPreset_custom":"Custom","balanceLabel":"Balance (double-click to centre)","balanceLeft":"L","balanceRight":"R","monoLabel":"Mono","swapLabel":"Swap left/right","autoLevelTitle":"Auto level","autoLevelEnabledLabel":"Even out quiet and loud passages","autoLevelTargetLabel":"Target","autoLevelHint":"The volume slider still applies on top, up to 600 %.","clipLabel":"CLIP","clipResetLabel":"Lights up when the output exceeds full scale. Click to reset.","clipBadgeLabel":"Turn the badge red when clipping","degradedMessage":"Some media on this page is served without CORS and cannot be amplified. It plays at up to 100 % instead.","optionsLabel":"Settings","muteLabel":"Mute","unmuteLabel":"Unmute","mediaLabel":"Players on this page","mediaPlayingLabel":"Playing","mediaPausedLabel":"Paused","captureBusyMessage":"Another extension is already capturing this tab\'s audio, so the volume cannot be changed here. Stop it there, then try again.","captureRestrictedMessage":"The browser does not allow capturing audio on this page.","captureFailedMessage":"Could not capture this tab\'s audio.","captureRetryLabel":"Try again","captureNotInvokedMessage":"Click the toolbar icon on that tab to enable boosting there.","mixerNotCapturedLabel":"Not captured: open the popup on that tab to change its volume"}')
     }
 });
 //# sourceMappingURL=app.js.map
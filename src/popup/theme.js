@@ -0,0 +1,60 @@
+/**
+ * 600% Sound Volume - Popup Theme
+ * Light or dark popup, following the browser until the toggle (or the
+ * options page) saves a themePreference. Needs js/settings.js.
+ */
+
+(function() {
+    var themeToggle = document.getElementById('theme-toggle');
+
+    function applyTheme(isDark) {
+        if (isDark) {
+            document.body.classList.add('dark-theme');
+            themeToggle.textContent = '☀️';
+            themeToggle.title = 'Switch to light theme';
+        } else {
+            document.body.classList.remove('dark-theme');
+            themeToggle.textContent = '🌙';
+            themeToggle.title = 'Switch to dark theme';
+        }
+    }
+
+    function detectBrowserTheme() {
+        return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    }
+
+    // Apply browser theme immediately while waiting for storage
+    applyTheme(detectBrowserTheme());
+
+    // Then load saved theme preference (overrides if user had set one)
+    Settings.get('themePreference', function(result) {
+        var isDark;
+        if (result.themePreference !== null) {
+            isDark = result.themePreference === 'dark';
+            applyTheme(isDark);
+        }
+        // If no saved preference, keep the browser theme that was already applied
+    });
+
+    // Listen for browser theme changes
+    if (window.matchMedia) {
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', function(e) {
+            // Only apply browser theme if user hasn't set a manual preference
+            Settings.get('themePreference', function(result) {
+                if (result.themePreference === null) {
+                    applyTheme(e.matches);
+                }
+            });
+        });
+    }
+
+    // Toggle button click handler
+    themeToggle.addEventListener('click', function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        var isDark = document.body.classList.contains('dark-theme');
+        var newTheme = isDark ? 'light' : 'dark';
+        Settings.set({themePreference: newTheme});
+        applyTheme(!isDark);
+    });
+})();
@@ -0,0 +1,140 @@
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const {loadScripts} = require('./helpers');
+
+// ============================================================
+// Fake Web Audio
+// Nodes only record their connections; params keep the last value set
+// ============================================================
+
+function createParam(value) {
+    return {
+        value: value,
+        setValueAtTime(next) {
+            this.value = next;
+        },
+        setTargetAtTime(next) {
+            this.value = next;
+        },
+        cancelScheduledValues() {}
+    };
+}
+
+function createNode(kind) {
+    return {
+        kind: kind,
+        outputs: new Set(),
+        gain: createParam(1),
+        pan: createParam(0),
+        threshold: createParam(-24),
+        ratio: createParam(12),
+        attack: createParam(0.003),
+        release: createParam(0.25),
+        knee: createParam(30),
+        frequency: createParam(350),
+        Q: createParam(1),
+        connect(destination) {
+            this.outputs.add(destination);
+            return destination;
+        },
+        disconnect(destination) {
+            if (destination) {
+                this.outputs.delete(destination);
+            } else {
+                this.outputs.clear();
+            }
+        },
+        getFloatTimeDomainData(samples) {
+            samples.fill(0);
+        }
+    };
+}
+
+function createContext() {
+    return {
+        sampleRate: 48000,
+        currentTime: 0,
+        state: 'running',
+        destination: createNode('destination'),
+        createGain: () => createNode('gain'),
+        createChannelSplitter: () => createNode('splitter'),
+        createChannelMerger: () => createNode('merger'),
+        createStereoPanner: () => createNode('panner'),
+        createBiquadFilter: () => createNode('filter'),
+        createDynamicsCompressor: () => createNode('compressor'),
+        createAnalyser: () => createNode('analyser')
+    };
+}
+
+// Nodes from the gain node to the destination, meters left out
+function getOutputPath(chain) {
+    const path = [];
+    let node = chain.gain;
+    while (node !== chain.context.destination) {
+        path.push(node);
+        const next = Array.from(node.outputs).filter(output => output.kind !== 'analyser');
+        assert.strictEqual(next.length, 1, node.kind + ' should feed exactly one stage');
+        node = next[0];
+    }
+    return path;
+}
+
+function createChain() {
+    const {AudioGraph} = loadScripts(['audio-graph.js']);
+    const context = createContext();
+    const chain = AudioGraph.createChain(context, createNode('source'));
+    return {AudioGraph: AudioGraph, chain: chain};
+}
+
+// ============================================================
+// Limiter
+// ============================================================
+
+test('unity volume passes the gain node straight to the destination', () => {
+    const {AudioGraph, chain} = createChain();
+    AudioGraph.setGain(chain, 100);
+    const path = getOutputPath(chain);
+    assert.deepStrictEqual(path.map(node => node.kind), ['gain']);
+    assert.strictEqual(chain.autoGain.gain.value, 1);
+    assert.strictEqual(chain.gain.gain.value, 1);
+});
+
+test('the limiter comes in above 100% and goes out again', () => {
+    const {AudioGraph, chain} = createChain();
+    AudioGraph.setGain(chain, 300);
+    assert.deepStrictEqual(getOutputPath(chain).map(node => node.kind), ['gain', 'compressor']);
+    AudioGraph.setGain(chain, 80);
+    assert.deepStrictEqual(getOutputPath(chain).map(node => node.kind), ['gain']);
+});
+
+test('a disabled limiter stays out when boosting', () => {
+    const {AudioGraph, chain} = createChain();
+    AudioGraph.applyLimiter(chain, {enabled: false});
+    AudioGraph.setGain(chain, 600);
+    assert.deepStrictEqual(getOutputPath(chain).map(node => node.kind), ['gain']);
+});
+
+test('an equalizer that boosts a band brings the limiter in at 100%', () => {
+    const {AudioGraph, chain} = createChain();
+    AudioGraph.applyEq(chain, {enabled: true, preset: 'treble', gains: AudioGraph.EQ_PRESETS.treble});
+    assert.ok(getOutputPath(chain).every(node => node.kind !== 'compressor'), 'cuts only need no limiter');
+    AudioGraph.applyEq(chain, {enabled: true, preset: 'bass', gains: AudioGraph.EQ_PRESETS.bass});
+    assert.strictEqual(getOutputPath(chain).pop().kind, 'compressor');
+});
+
+// ============================================================
+// Channel Swap
+// ============================================================
+
+test('the channel swap upmixes its input to stereo first', () => {
+    const {AudioGraph, chain} = createChain();
+    AudioGraph.applyStereo(chain, {balance: 0, mono: false, swap: true});
+    const [, upmix, splitter] = getOutputPath(chain);
+    assert.strictEqual(upmix.kind, 'gain');
+    assert.strictEqual(upmix.channelCount, 2);
+    assert.strictEqual(upmix.channelCountMode, 'explicit');
+    assert.strictEqual(upmix.channelInterpretation, 'speakers');
+    assert.strictEqual(splitter.kind, 'splitter');
+});
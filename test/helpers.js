@@ -0,0 +1,152 @@
+/**
+ * Loads extension scripts from src/js into a fresh context, the way the
+ * browser loads them one after another into a page, and fakes the parts
+ * of the WebExtension API they use. Run the tests with
+ * `node --test test/*.test.js` (Node 18 or later, no dependencies).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE_DIR = path.join(__dirname, '..', 'src', 'js');
+
+function loadScripts(files, globals) {
+    const context = vm.createContext(Object.assign({console: console, TextEncoder: TextEncoder}, globals));
+    context.window = context;
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8'), context, {filename: file});
+    });
+    return context;
+}
+
+// ============================================================
+// Fake Storage
+// One area can be shared by several fake browsers, like storage.sync
+// is by the devices of one account. Change events arrive
+// asynchronously, as they do in the browser.
+// ============================================================
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createStorageArea(name, quota) {
+    const listeners = new Set();
+    const area = Object.assign({}, quota, {
+        data: {},
+        listeners: listeners,
+        get(keys, callback) {
+            const result = {};
+            if (keys === null) {
+                Object.assign(result, copy(area.data));
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                [].concat(keys).filter(key => key in area.data).forEach(key => {
+                    result[key] = copy(area.data[key]);
+                });
+            } else {
+                Object.keys(keys).forEach(key => {
+                    result[key] = key in area.data ? copy(area.data[key]) : keys[key];
+                });
+            }
+            setImmediate(() => callback(result));
+        },
+        set(items, callback) {
+            const changes = {};
+            Object.keys(items).forEach(key => {
+                const newValue = copy(items[key]);
+                if (JSON.stringify(newValue) !== JSON.stringify(area.data[key])) {
+                    changes[key] = {oldValue: area.data[key], newValue: copy(newValue)};
+                }
+                area.data[key] = newValue;
+            });
+            notify(changes, callback);
+        },
+        remove(keys, callback) {
+            const changes = {};
+            [].concat(keys).filter(key => key in area.data).forEach(key => {
+                changes[key] = {oldValue: area.data[key]};
+                delete area.data[key];
+            });
+            notify(changes, callback);
+        },
+        clear(callback) {
+            area.remove(Object.keys(area.data), callback);
+        }
+    });
+
+    function notify(changes, callback) {
+        setImmediate(() => {
+            if (Object.keys(changes).length > 0) {
+                listeners.forEach(listener => listener(copy(changes), name));
+            }
+            if (callback) {
+                callback();
+            }
+        });
+    }
+
+    return area;
+}
+
+// A browser profile: its own storage.local, the given storage.sync
+// (a new one by default) and setTimeout timers that only run on flush
+function createBrowser(sync) {
+    const local = createStorageArea('local');
+    sync = sync || createStorageArea('sync');
+    const timers = new Map();
+    let lastTimer = 0;
+    const browser = {
+        runtime: {lastError: undefined},
+        storage: {
+            local: local,
+            sync: sync,
+            onChanged: {
+                addListener(listener) {
+                    local.listeners.add(listener);
+                    sync.listeners.add(listener);
+                }
+            }
+        }
+    };
+    return {
+        browser: browser,
+        local: local,
+        sync: sync,
+        globals: {
+            browser: browser,
+            setTimeout: (callback) => {
+                timers.set(++lastTimer, callback);
+                return lastTimer;
+            },
+            clearTimeout: (id) => timers.delete(id)
+        },
+        // Runs the timers that are due, as if their delay had passed
+        flushTimers() {
+            const due = Array.from(timers.values());
+            timers.clear();
+            due.forEach(callback => callback());
+            return due.length;
+        }
+    };
+}
+
+// Lets storage callbacks and change events run, and with flushTimers
+// the delayed work they schedule, until nothing is left
+async function settle(profiles) {
+    let quietRounds = 0;
+    while (quietRounds < 20) {
+        await new Promise(resolve => setImmediate(resolve));
+        const ran = [].concat(profiles || []).reduce((count, profile) => count + profile.flushTimers(), 0);
+        quietRounds = ran > 0 ? 0 : quietRounds + 1;
+    }
+}
+
+module.exports = {
+    loadScripts: loadScripts,
+    createStorageArea: createStorageArea,
+    createBrowser: createBrowser,
+    settle: settle
+};
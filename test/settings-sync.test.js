@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('assert');
+const test = require('node:test');
+const {loadScripts, createStorageArea, createBrowser, settle} = require('./helpers');
+
+const SCRIPTS = ['audio-graph.js', 'host-patterns.js', 'settings.js', 'settings-sync.js'];
+
+// A device with the background's sync setup, sharing the given sync area;
+// stored is what its storage.local holds before the background starts
+function createDevice(sync, warnings, stored) {
+    const profile = createBrowser(sync);
+    Object.assign(profile.local.data, stored);
+    const console = {warn: (...args) => (warnings || []).push(args.join(' ')), log() {}, error() {}};
+    const context = loadScripts(SCRIPTS, Object.assign({console: console}, profile.globals));
+    context.SettingsSync.init();
+    context.SettingsSync.start();
+    profile.Settings = context.Settings;
+    return profile;
+}
+
+function set(profile, values) {
+    return new Promise(resolve => profile.Settings.set(values, resolve));
+}
+
+// Plain copies, comparable with objects made here
+function get(profile, keys) {
+    return new Promise(resolve => profile.Settings.get(keys, values => resolve(JSON.parse(JSON.stringify(values)))));
+}
+
+// More than one 8 KB sync item once encoded
+function createSiteVolumes(count) {
+    const siteVolumes = {};
+    for (let i = 0; i < count; i++) {
+        siteVolumes['site-' + i + '.example.com'] = 100 + i % 500;
+    }
+    return siteVolumes;
+}
+
+function getItemSize(name, value) {
+    return Buffer.byteLength(name) + Buffer.byteLength(JSON.stringify(value));
+}
+
+// ============================================================
+// Chunking
+// ============================================================
+
+test('a setting larger than one item is split and read back whole on another device', async () => {
+    const sync = createStorageArea('sync', {QUOTA_BYTES: 102400, QUOTA_BYTES_PER_ITEM: 8192});
+    const first = createDevice(sync);
+    const siteVolumes = createSiteVolumes(800);
+    await set(first, {siteVolumes: siteVolumes});
+    await set(first, {syncEnabled: true});
+    await settle([first]);
+
+    const meta = sync.data['settings.siteVolumes'];
+    assert.ok(meta.n > 1, 'stored in chunks');
+    assert.strictEqual(meta.v, undefined);
+    for (let index = 0; index < meta.n; index++) {
+        const name = 'settings.siteVolumes.' + index;
+        assert.strictEqual(typeof sync.data[name], 'string');
+        assert.ok(getItemSize(name, sync.data[name]) <= 8192, name + ' fits one item');
+    }
+
+    const second = createDevice(sync);
+    await set(second, {syncEnabled: true});
+    await settle([first, second]);
+    assert.deepStrictEqual((await get(second, 'siteVolumes')).siteVolumes, siteVolumes);
+});
+
+test('a setting with a missing chunk is not copied', async () => {
+    const sync = createStorageArea('sync');
+    const first = createDevice(sync);
+    await set(first, {siteVolumes: createSiteVolumes(800)});
+    await set(first, {syncEnabled: true});
+    await settle([first]);
+    delete sync.data['settings.siteVolumes.1'];
+
+    const second = createDevice(sync);
+    await set(second, {syncEnabled: true});
+    await settle([second]);
+    assert.deepStrictEqual((await get(second, 'siteVolumes')).siteVolumes, {});
+});
+
+// ============================================================
+// Last Writer Wins
+// ============================================================
+
+test('the newer change wins, key by key', async () => {
+    const now = Date.now();
+    const sync = createStorageArea('sync');
+    sync.data['settings.badgeSafetyVolume'] = {t: now + 60000, v: '450'};
+    sync.data['settings.sliderMax'] = {t: now - 60000, v: '200'};
+
+    const device = createDevice(sync, [], {
+        badgeSafetyVolume: 250,
+        sliderMax: 500,
+        syncTimes: {badgeSafetyVolume: now, sliderMax: now}
+    });
+    await set(device, {syncEnabled: true});
+    await settle([device]);
+
+    const values = await get(device, ['badgeSafetyVolume', 'sliderMax', 'syncTimes']);
+    assert.strictEqual(values.badgeSafetyVolume, 450, 'newer in sync, copied here');
+    assert.strictEqual(values.syncTimes.badgeSafetyVolume, now + 60000, 'keeps the remote time');
+    assert.strictEqual(values.sliderMax, 500, 'newer here, kept');
+    assert.deepStrictEqual(sync.data['settings.sliderMax'], {t: now, v: '500'}, 'and uploaded');
+});
+
+test('a local edit is uploaded and reaches the other device', async () => {
+    const sync = createStorageArea('sync');
+    const first = createDevice(sync);
+    const second = createDevice(sync);
+    await set(first, {syncEnabled: true});
+    await set(second, {syncEnabled: true});
+    await settle([first, second]);
+
+    await set(first, {badgeSafetyVolume: 350});
+    await settle([first, second]);
+    assert.strictEqual((await get(second, 'badgeSafetyVolume')).badgeSafetyVolume, 350);
+});
+
+// ============================================================
+// Quota
+// ============================================================
+
+test('settings that do not fit the quota stay on the device', async () => {
+    const sync = createStorageArea('sync', {QUOTA_BYTES: 6000, QUOTA_BYTES_PER_ITEM: 1024});
+    const warnings = [];
+    const device = createDevice(sync, warnings);
+    await set(device, {siteVolumes: createSiteVolumes(800), badgeSafetyVolume: 350});
+    await set(device, {syncEnabled: true});
+    await settle([device]);
+
+    assert.ok(!Object.keys(sync.data).some(name => name.indexOf('settings.siteVolumes') === 0), 'siteVolumes left out');
+    assert.deepStrictEqual(JSON.parse(sync.data['settings.badgeSafetyVolume'].v), 350, 'the rest is synced');
+    const total = Object.keys(sync.data).reduce((sum, name) => sum + getItemSize(name, sync.data[name]), 0);
+    assert.ok(total <= 6000 * 0.9, 'within the quota and its margin');
+    assert.ok(warnings.some(warning => warning.indexOf('"siteVolumes" is too large to sync') !== -1));
+    assert.strictEqual(Object.keys((await get(device, 'siteVolumes')).siteVolumes).length, 800, 'still here');
+});